@@ -0,0 +1,333 @@
+/**
+ * Animation Registry
+ * Named Web Animations API animations for [data-animate] elements.
+ * Values that aren't registered here keep their CSS transition in
+ * animations.css. Per element, data-animate-delay / data-animate-duration
+ * (ms) and data-animate-easing override the animation's defaults, and
+ * data-animate-split="words" or "letters" animates the text piece by piece.
+ */
+
+/**
+ * @typedef {Object} AnimationDefinition
+ * @property {string} name - Value for data-animate
+ * @property {Keyframe[]} keyframes - From hidden to shown
+ * @property {number} [duration=600] - ms
+ * @property {string} [easing]
+ * @property {'words'|'letters'} [split] - Animate the text in pieces
+ * @property {number} [stagger=40] - ms between split pieces
+ */
+
+const EASE_OUT_EXPO = 'cubic-bezier(0.16, 1, 0.3, 1)';
+
+const animations = new Map();
+
+// Running animations and the split pieces of each element
+const running = new WeakMap();
+
+/**
+ * Register (or replace) a named animation
+ * @param {AnimationDefinition} definition
+ * @returns {AnimationDefinition}
+ */
+export function registerAnimation(definition) {
+  if (!definition || !definition.name || !Array.isArray(definition.keyframes)) {
+    throw new Error('Animation needs a name and keyframes');
+  }
+
+  const animation = Object.freeze({
+    duration: 600,
+    easing: EASE_OUT_EXPO,
+    stagger: 40,
+    ...definition
+  });
+
+  animations.set(animation.name, animation);
+  return animation;
+}
+
+/**
+ * Get an animation by name
+ * @param {string} name
+ * @returns {AnimationDefinition|undefined}
+ */
+export function getAnimation(name) {
+  return animations.get(name);
+}
+
+/**
+ * Check whether an animation is registered
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasAnimation(name) {
+  return animations.has(name);
+}
+
+// Split pieces rise as they fade in
+const riseIn = [
+  { opacity: 0, transform: 'translateY(20px)' },
+  { opacity: 1, transform: 'translateY(0)' }
+];
+
+[
+  // Same look as the opacity transition fade-up always had in animations.css
+  {
+    name: 'fade-up',
+    duration: 400,
+    easing: 'ease',
+    keyframes: [
+      { opacity: 0 },
+      { opacity: 1 }
+    ]
+  },
+  {
+    name: 'scale-in',
+    keyframes: [
+      { opacity: 0, transform: 'scale(0.9)' },
+      { opacity: 1, transform: 'scale(1)' }
+    ]
+  },
+  {
+    name: 'blur-in',
+    duration: 800,
+    keyframes: [
+      { opacity: 0, filter: 'blur(10px)' },
+      { opacity: 1, filter: 'blur(0)' }
+    ]
+  },
+  {
+    name: 'slide-left',
+    keyframes: [
+      { opacity: 0, transform: 'translateX(40px)' },
+      { opacity: 1, transform: 'translateX(0)' }
+    ]
+  },
+  {
+    name: 'mask-reveal',
+    duration: 900,
+    keyframes: [
+      { opacity: 1, clipPath: 'inset(0 100% 0 0)' },
+      { opacity: 1, clipPath: 'inset(0 0 0 0)' }
+    ]
+  },
+  { name: 'split-words', split: 'words', duration: 500, stagger: 60, keyframes: riseIn },
+  { name: 'split-letters', split: 'letters', duration: 400, stagger: 25, keyframes: riseIn }
+].forEach(registerAnimation);
+
+/**
+ * Wrap each word (or letter) of an element's text in a span, keeping any
+ * child elements. The pieces are hidden from screen readers, which read a
+ * visually hidden copy of the original text instead.
+ * @param {HTMLElement} element
+ * @param {'words'|'letters'} by
+ * @returns {HTMLElement[]} The pieces, in reading order
+ */
+export function splitText(element, by) {
+  const existing = running.get(element)?.pieces;
+  if (existing && element.dataset.split === by) return existing;
+
+  let copy = element.querySelector(':scope > [data-split-copy]');
+  if (!copy) {
+    copy = document.createElement('span');
+    copy.className = 'sr-only';
+    copy.dataset.splitCopy = '';
+    copy.textContent = element.textContent.trim().replace(/\s+/g, ' ');
+  }
+
+  // Leave the copy whole if the element is split again
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (copy.contains(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  const pieces = [];
+
+  textNodes.forEach(node => {
+    const fragment = document.createDocumentFragment();
+
+    node.textContent.split(/(\s+)/).forEach(part => {
+      if (!part) return;
+
+      if (/^\s+$/.test(part)) {
+        fragment.appendChild(document.createTextNode(part));
+        return;
+      }
+
+      const word = document.createElement('span');
+      word.className = 'split-word';
+      word.setAttribute('aria-hidden', 'true');
+
+      if (by === 'letters') {
+        Array.from(part).forEach(char => {
+          const letter = document.createElement('span');
+          letter.className = 'split-letter';
+          letter.textContent = char;
+          word.appendChild(letter);
+          pieces.push(letter);
+        });
+      } else {
+        word.textContent = part;
+        pieces.push(word);
+      }
+
+      fragment.appendChild(word);
+    });
+
+    node.replaceWith(fragment);
+  });
+
+  element.appendChild(copy);
+
+  element.dataset.split = by;
+  running.set(element, { animations: [], pieces });
+  return pieces;
+}
+
+/**
+ * Timing for an element: definition defaults, then data-animate-* attributes,
+ * then options passed in code
+ * @param {HTMLElement} element
+ * @param {AnimationDefinition} definition
+ * @param {Object} options
+ * @returns {{delay: number, duration: number, easing: string, stagger: number}}
+ */
+function resolveTiming(element, definition, options) {
+  const data = element.dataset;
+  const number = (value, fallback) => (value !== undefined && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : fallback);
+
+  return {
+    // offset is added on top, e.g. a position in a [data-stagger] group
+    delay: number(options.delay, number(data.animateDelay, 0)) + (options.offset || 0),
+    duration: number(options.duration, number(data.animateDuration, definition.duration)),
+    easing: options.easing || data.animateEasing || definition.easing,
+    stagger: number(options.stagger, definition.stagger)
+  };
+}
+
+/**
+ * Start an element's animation, cancelling any already running
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @param {Object} options
+ * @param {'normal'|'reverse'} direction
+ * @returns {Animation[]}
+ */
+function run(element, name, options, direction) {
+  const definition = animations.get(name);
+  const timing = resolveTiming(element, definition, options);
+  const split = element.dataset.animateSplit || definition.split;
+
+  running.get(element)?.animations.forEach(animation => animation.cancel());
+
+  // Transitions outrank animations in the cascade, so turn them off
+  // while animating (finish() turns them back on)
+  element.classList.add('animate-js');
+
+  const targets = split ? splitText(element, split) : [element];
+  const state = running.get(element) || { pieces: null };
+  const reversed = direction === 'reverse';
+
+  state.animations = targets.map((target, index) => {
+    // Reversing runs the pieces back in the opposite order
+    const order = reversed ? targets.length - 1 - index : index;
+
+    return target.animate(definition.keyframes, {
+      duration: timing.duration,
+      easing: timing.easing,
+      delay: timing.delay + order * timing.stagger,
+      direction,
+      // Hold the hidden frame through delays; a reversed run holds it at the end
+      fill: reversed ? 'forwards' : 'backwards'
+    });
+  });
+
+  running.set(element, state);
+  return state.animations;
+}
+
+/**
+ * Settle once every animation has finished; cancelled ones count as settled
+ * @param {Animation[]} list
+ * @returns {Promise<void>}
+ */
+function settled(list) {
+  return Promise.all(list.map(animation => animation.finished.catch(() => {}))).then(() => {});
+}
+
+/**
+ * Restore the element's transitions once its current animations are done
+ * @param {HTMLElement} element
+ * @param {Animation[]} list
+ * @returns {boolean} false if newer animations replaced these
+ */
+function finish(element, list) {
+  if (running.get(element)?.animations !== list) return false;
+
+  element.classList.remove('animate-js');
+  return true;
+}
+
+/**
+ * Whether a named animation can run here
+ * @returns {boolean}
+ */
+function canAnimate() {
+  return typeof Element !== 'undefined'
+    && typeof Element.prototype.animate === 'function'
+    && !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Show an element with its data-animate animation
+ * @param {HTMLElement} element
+ * @param {Object} [options] - delay, duration, stagger (ms) and easing overrides;
+ *   offset (ms) delays on top of the element's own delay
+ * @param {string} [options.name] - Animation to use instead of data-animate
+ * @returns {Promise<HTMLElement>} Resolves when the element is fully shown
+ */
+export function play(element, options = {}) {
+  const name = options.name || element.dataset.animate;
+
+  if (!hasAnimation(name) || !canAnimate()) {
+    element.classList.add('is-visible');
+    return Promise.resolve(element);
+  }
+
+  const list = run(element, name, options, 'normal');
+  element.classList.add('is-visible');
+
+  return settled(list).then(() => {
+    finish(element, list);
+    return element;
+  });
+}
+
+/**
+ * Hide an element by running its animation backwards
+ * @param {HTMLElement} element
+ * @param {Object} [options] - Same as play()
+ * @returns {Promise<HTMLElement>} Resolves when the element is hidden
+ */
+export function reverse(element, options = {}) {
+  const name = options.name || element.dataset.animate;
+
+  if (!hasAnimation(name) || !canAnimate()) {
+    element.classList.remove('is-visible');
+    return Promise.resolve(element);
+  }
+
+  const list = run(element, name, options, 'reverse');
+
+  return settled(list).then(() => {
+    // A play() started in the meantime replaces these animations
+    if (running.get(element)?.animations !== list) return element;
+
+    element.classList.remove('is-visible');
+    list.forEach(animation => animation.cancel());
+    finish(element, list);
+    return element;
+  });
+}
+
+export default { registerAnimation, getAnimation, hasAnimation, splitText, play, reverse };
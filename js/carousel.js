@@ -0,0 +1,367 @@
+/**
+ * Carousel
+ * Accessible image carousel with autoplay, keyboard navigation,
+ * swipe support and lazy-loaded slides
+ */
+
+export default class Carousel {
+  constructor(element, options = {}) {
+    this.element = typeof element === 'string' ? document.querySelector(element) : element;
+
+    if (!this.element) {
+      console.warn('Carousel element not found');
+      return;
+    }
+
+    const data = this.element.dataset;
+
+    this.options = {
+      autoplay: Number(options.autoplay ?? data.carouselAutoplay) || 0, // ms, 0 = off
+      pauseOnHover: options.pauseOnHover !== false,
+      loop: options.loop ?? data.carouselLoop !== 'false',
+      keyboard: options.keyboard !== false,
+      lazy: options.lazy !== false,
+      preload: options.preload ?? 1, // neighbouring slides to load ahead
+      swipeThreshold: options.swipeThreshold || 50,
+      label: options.label || this.element.getAttribute('aria-label') || 'Image carousel'
+    };
+
+    this.track = this.element.querySelector('.carousel-track');
+    this.slides = Array.from(this.element.querySelectorAll('.carousel-slide'));
+    this.prevBtn = this.element.querySelector('.carousel-btn-prev');
+    this.nextBtn = this.element.querySelector('.carousel-btn-next');
+    this.dotsContainer = this.element.querySelector('.carousel-dots');
+    this.dots = [];
+    this.status = null;
+
+    this.currentIndex = 0;
+    this.autoplayTimer = null;
+    this.paused = false;
+    this.hovered = false;
+    this.focused = false;
+    this.controller = new AbortController();
+
+    if (this.slides.length === 0) return;
+
+    this.init();
+  }
+
+  /**
+   * Initialize carousel
+   */
+  init() {
+    const activeIndex = this.slides.findIndex(slide => slide.classList.contains('active'));
+    this.currentIndex = activeIndex > -1 ? activeIndex : 0;
+
+    // No autoplay under reduced motion
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      this.options.autoplay = 0;
+    }
+
+    this.setupAria();
+    this.createDots();
+    this.bindEvents();
+    this.update();
+
+    if (this.options.autoplay) {
+      this.play();
+    }
+  }
+
+  /**
+   * Carousel, slide and live region semantics
+   */
+  setupAria() {
+    this.element.setAttribute('role', 'region');
+    this.element.setAttribute('aria-roledescription', 'carousel');
+    this.element.setAttribute('aria-label', this.options.label);
+
+    if (this.options.keyboard && !this.element.hasAttribute('tabindex')) {
+      this.element.setAttribute('tabindex', '0');
+    }
+
+    // Announces the position; starts filled in so loading doesn't announce it
+    this.status = document.createElement('p');
+    this.status.className = 'sr-only';
+    this.status.setAttribute('aria-live', this.options.autoplay ? 'off' : 'polite');
+    this.status.setAttribute('aria-atomic', 'true');
+    this.status.textContent = this.getPositionLabel();
+    this.element.appendChild(this.status);
+
+    // Image slides stay images so their alt text is read; other slides
+    // become labelled groups
+    this.slides.forEach((slide, index) => {
+      if (slide instanceof HTMLImageElement) return;
+
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', 'slide');
+      slide.setAttribute('aria-label', `${index + 1} of ${this.slides.length}`);
+    });
+  }
+
+  /**
+   * Position of the current slide, e.g. "2 of 5"
+   * @returns {string}
+   */
+  getPositionLabel() {
+    return `${this.currentIndex + 1} of ${this.slides.length}`;
+  }
+
+  /**
+   * Create navigation dots (skipped when there is no .carousel-dots container)
+   */
+  createDots() {
+    if (!this.dotsContainer) return;
+
+    this.dotsContainer.replaceChildren();
+    this.dots = this.slides.map((_, index) => {
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'carousel-dot';
+      dot.setAttribute('aria-label', `Go to slide ${index + 1}`);
+      dot.addEventListener('click', () => this.goTo(index), { signal: this.controller.signal });
+      this.dotsContainer.appendChild(dot);
+      return dot;
+    });
+  }
+
+  /**
+   * Set up buttons, keyboard, hover/focus and swipe listeners
+   */
+  bindEvents() {
+    const { signal } = this.controller;
+
+    this.prevBtn?.addEventListener('click', () => this.prev(), { signal });
+    this.nextBtn?.addEventListener('click', () => this.next(), { signal });
+
+    if (this.options.keyboard) {
+      this.element.addEventListener('keydown', this.handleKeydown.bind(this), { signal });
+    }
+
+    // Pause autoplay while the user is looking at or interacting with it
+    if (this.options.pauseOnHover) {
+      this.element.addEventListener('mouseenter', () => {
+        this.hovered = true;
+        this.stopTimer();
+      }, { signal });
+
+      this.element.addEventListener('mouseleave', () => {
+        this.hovered = false;
+        this.startTimer();
+      }, { signal });
+    }
+
+    this.element.addEventListener('focusin', () => {
+      this.focused = true;
+      this.stopTimer();
+    }, { signal });
+
+    this.element.addEventListener('focusout', (e) => {
+      if (this.element.contains(e.relatedTarget)) return;
+      this.focused = false;
+      this.startTimer();
+    }, { signal });
+
+    // Touch/swipe support
+    let touchStartX = 0;
+
+    this.element.addEventListener('touchstart', (e) => {
+      touchStartX = e.changedTouches[0].screenX;
+    }, { passive: true, signal });
+
+    this.element.addEventListener('touchend', (e) => {
+      const diff = touchStartX - e.changedTouches[0].screenX;
+      if (Math.abs(diff) > this.options.swipeThreshold) {
+        if (diff > 0) this.next();
+        else this.prev();
+      }
+    }, { passive: true, signal });
+  }
+
+  /**
+   * Arrow keys, Home and End
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    const actions = {
+      ArrowLeft: () => this.prev(),
+      ArrowRight: () => this.next(),
+      Home: () => this.goTo(0),
+      End: () => this.goTo(this.slides.length - 1)
+    };
+
+    const action = actions[e.key];
+    if (action) {
+      e.preventDefault();
+      action();
+    }
+  }
+
+  /**
+   * Go to a slide
+   * @param {number} index
+   */
+  goTo(index) {
+    const count = this.slides.length;
+    const target = this.options.loop
+      ? (index % count + count) % count
+      : Math.max(0, Math.min(count - 1, index));
+
+    if (target === this.currentIndex) return;
+
+    const previousIndex = this.currentIndex;
+    this.currentIndex = target;
+    this.update();
+
+    // Restart the autoplay countdown after any change
+    this.startTimer();
+
+    this.element.dispatchEvent(new CustomEvent('slidechange', {
+      detail: { index: target, previousIndex, slide: this.slides[target] }
+    }));
+  }
+
+  /**
+   * Next slide
+   */
+  next() {
+    this.goTo(this.currentIndex + 1);
+  }
+
+  /**
+   * Previous slide
+   */
+  prev() {
+    this.goTo(this.currentIndex - 1);
+  }
+
+  /**
+   * Sync classes, ARIA state, buttons and lazy images to the current index
+   */
+  update() {
+    this.slides.forEach((slide, index) => {
+      const active = index === this.currentIndex;
+      slide.classList.toggle('active', active);
+      slide.setAttribute('aria-hidden', String(!active));
+    });
+
+    if (this.status) this.status.textContent = this.getPositionLabel();
+
+    this.dots.forEach((dot, index) => {
+      const active = index === this.currentIndex;
+      dot.classList.toggle('active', active);
+      if (active) {
+        dot.setAttribute('aria-current', 'true');
+      } else {
+        dot.removeAttribute('aria-current');
+      }
+    });
+
+    if (!this.options.loop) {
+      if (this.prevBtn) this.prevBtn.disabled = this.currentIndex === 0;
+      if (this.nextBtn) this.nextBtn.disabled = this.currentIndex === this.slides.length - 1;
+    }
+
+    this.loadSlides();
+  }
+
+  /**
+   * Load the active slide and its neighbours; other slides keep their data-src
+   */
+  loadSlides() {
+    const count = this.slides.length;
+    const range = this.options.lazy ? this.options.preload : count;
+
+    for (let offset = -range; offset <= range; offset++) {
+      let index = this.currentIndex + offset;
+      if (this.options.loop) {
+        index = (index % count + count) % count;
+      } else if (index < 0 || index >= count) {
+        continue;
+      }
+      this.loadSlide(this.slides[index]);
+    }
+  }
+
+  /**
+   * Swap data-src/data-srcset in for a slide's image
+   * @param {HTMLElement} slide
+   */
+  loadSlide(slide) {
+    const img = slide.tagName === 'IMG' ? slide : slide.querySelector('img');
+    if (!img) return;
+
+    if (img.dataset.src) {
+      img.src = img.dataset.src;
+      delete img.dataset.src;
+    }
+
+    if (img.dataset.srcset) {
+      img.srcset = img.dataset.srcset;
+      delete img.dataset.srcset;
+    }
+  }
+
+  /**
+   * Start autoplay
+   */
+  play() {
+    if (!this.options.autoplay) return;
+    this.paused = false;
+    if (this.status) this.status.setAttribute('aria-live', 'off');
+    this.startTimer();
+  }
+
+  /**
+   * Stop autoplay
+   */
+  pause() {
+    this.paused = true;
+    if (this.status) this.status.setAttribute('aria-live', 'polite');
+    this.stopTimer();
+  }
+
+  /**
+   * Schedule the next autoplay step unless paused, hovered or focused
+   */
+  startTimer() {
+    this.stopTimer();
+
+    if (!this.options.autoplay || this.paused || this.hovered || this.focused) return;
+
+    this.autoplayTimer = setTimeout(() => {
+      if (!this.options.loop && this.currentIndex === this.slides.length - 1) {
+        this.goTo(0);
+      } else {
+        this.next();
+      }
+    }, this.options.autoplay);
+  }
+
+  /**
+   * Clear a pending autoplay step
+   */
+  stopTimer() {
+    if (this.autoplayTimer) {
+      clearTimeout(this.autoplayTimer);
+      this.autoplayTimer = null;
+    }
+  }
+
+  /**
+   * Remove listeners, timers and generated markup
+   */
+  destroy() {
+    this.stopTimer();
+    this.controller.abort();
+
+    this.dotsContainer?.replaceChildren();
+    this.dots = [];
+
+    this.slides.forEach(slide => slide.removeAttribute('aria-hidden'));
+    this.status?.remove();
+    this.status = null;
+    if (this.prevBtn) this.prevBtn.disabled = false;
+    if (this.nextBtn) this.nextBtn.disabled = false;
+  }
+}
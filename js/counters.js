@@ -0,0 +1,268 @@
+/**
+ * Counters & Progress Meters
+ * Numbers that count up and meters that fill when ScrollAnimations
+ * reveals them (or when they scroll into view outside a [data-animate]).
+ *
+ *   <span data-count-to="10" data-count-suffix="+">10+</span>
+ *   <span data-count-from="1100" data-count-to="2300">2,300</span>
+ *   <span class="skill-item" data-meter="80">Python</span>
+ *   <span data-meter="3" data-meter-max="5" data-meter-type="radial"
+ *         data-meter-label="Conversational">Spanish</span>
+ *
+ * Numbers are formatted for the page's language. Under reduced motion
+ * both show their final value straight away.
+ */
+
+const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+const easeOutCubic = t => 1 - Math.pow(1 - t, 3);
+
+/**
+ * Read a number attribute
+ * @param {string|undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Decimal places written in a number attribute ("2.50" -> 2)
+ * @param {string|undefined} value
+ * @returns {number}
+ */
+function decimalsOf(value) {
+  const match = /\.(\d+)/.exec(value || '');
+  return match ? match[1].length : 0;
+}
+
+/**
+ * Run a callback once an element is revealed: when its [data-animate]
+ * ancestor animates, or when it scrolls into view if it has none
+ * @param {HTMLElement} element
+ * @param {Function} callback
+ * @param {AbortSignal} signal
+ */
+function whenRevealed(element, callback, signal) {
+  const trigger = element.closest('[data-animate]');
+
+  if (trigger) {
+    if (trigger.classList.contains('is-visible')) {
+      callback();
+    } else {
+      trigger.addEventListener('animated', () => callback(), { once: true, signal });
+    }
+    return;
+  }
+
+  if (!('IntersectionObserver' in window)) {
+    callback();
+    return;
+  }
+
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      observer.disconnect();
+      callback();
+    }
+  }, { threshold: 0.5 });
+
+  observer.observe(element);
+  signal.addEventListener('abort', () => observer.disconnect());
+}
+
+/**
+ * Counter Class
+ * Counts a number up from data-count-from (default 0) to data-count-to
+ */
+export class Counter {
+  constructor(element, options = {}) {
+    this.element = element;
+
+    const data = element.dataset;
+    this.options = {
+      from: options.from ?? parseNumber(data.countFrom, 0),
+      to: options.to ?? parseNumber(data.countTo, 0),
+      duration: options.duration ?? parseNumber(data.countDuration, 1500), // ms
+      decimals: options.decimals ?? parseNumber(data.countDecimals, decimalsOf(data.countTo)),
+      prefix: options.prefix ?? data.countPrefix ?? '',
+      suffix: options.suffix ?? data.countSuffix ?? '',
+      locale: options.locale || document.documentElement.lang || undefined
+    };
+
+    this.formatter = new Intl.NumberFormat(this.options.locale, {
+      minimumFractionDigits: this.options.decimals,
+      maximumFractionDigits: this.options.decimals
+    });
+
+    this.frame = null;
+    this.controller = new AbortController();
+    this.init();
+  }
+
+  /**
+   * Initialize counter
+   */
+  init() {
+    if (motionQuery.matches) {
+      this.render(this.options.to);
+      return;
+    }
+
+    // The markup holds the final value for when scripts don't run
+    this.render(this.options.from);
+    whenRevealed(this.element, () => this.start(), this.controller.signal);
+  }
+
+  /**
+   * Format a value with the prefix and suffix
+   * @param {number} value
+   * @returns {string}
+   */
+  format(value) {
+    return `${this.options.prefix}${this.formatter.format(value)}${this.options.suffix}`;
+  }
+
+  /**
+   * Show a value
+   * @param {number} value
+   */
+  render(value) {
+    this.element.textContent = this.format(value);
+  }
+
+  /**
+   * Count up to the final value
+   * @returns {Promise<void>} Resolves when the final value is shown
+   */
+  start() {
+    const { from, to, duration } = this.options;
+    cancelAnimationFrame(this.frame);
+
+    if (motionQuery.matches || duration <= 0) {
+      this.render(to);
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      let startTime = null;
+
+      const step = (time) => {
+        startTime ??= time;
+        const progress = Math.min(1, (time - startTime) / duration);
+        this.render(from + (to - from) * easeOutCubic(progress));
+
+        if (progress < 1) {
+          this.frame = requestAnimationFrame(step);
+        } else {
+          this.frame = null;
+          resolve();
+        }
+      };
+
+      this.frame = requestAnimationFrame(step);
+    });
+  }
+
+  /**
+   * Stop counting and leave the final value
+   */
+  destroy() {
+    this.controller.abort();
+    cancelAnimationFrame(this.frame);
+    this.render(this.options.to);
+  }
+}
+
+/**
+ * Progress Meter Class
+ * Linear or radial meter filled to data-meter out of data-meter-max (default 100).
+ * The fill comes from the --meter-value custom property (0-1) in components.css.
+ */
+export class ProgressMeter {
+  constructor(element, options = {}) {
+    this.element = element;
+
+    const data = element.dataset;
+    this.options = {
+      value: options.value ?? parseNumber(data.meter, 0),
+      max: options.max ?? parseNumber(data.meterMax, 100),
+      type: options.type || data.meterType || 'linear', // 'linear' or 'radial'
+      label: options.label || data.meterLabel || '', // announced instead of the percentage
+      locale: options.locale || document.documentElement.lang || undefined
+    };
+
+    this.controller = new AbortController();
+    this.labelled = false; // whether init() added the aria-label
+    this.init();
+  }
+
+  /**
+   * Initialize meter
+   */
+  init() {
+    const { value, max, type } = this.options;
+    const element = this.element;
+
+    element.classList.add('meter', `meter-${type}`);
+
+    // Announce as a meter, named after its label
+    element.setAttribute('role', 'meter');
+    element.setAttribute('aria-valuemin', '0');
+    element.setAttribute('aria-valuemax', String(max));
+    element.setAttribute('aria-valuenow', String(value));
+    element.setAttribute('aria-valuetext', this.format());
+    if (!element.hasAttribute('aria-label')) {
+      element.setAttribute('aria-label', element.textContent.trim());
+      this.labelled = true;
+    }
+
+    if (motionQuery.matches) {
+      this.fill();
+      return;
+    }
+
+    element.style.setProperty('--meter-value', '0');
+    whenRevealed(element, () => this.fill(), this.controller.signal);
+  }
+
+  /**
+   * The label, or the value as a percentage of the maximum, for assistive technology
+   * @returns {string}
+   */
+  format() {
+    const { value, max, locale, label } = this.options;
+    if (label) return label;
+
+    const ratio = max > 0 ? value / max : 0;
+    return new Intl.NumberFormat(locale, { style: 'percent' }).format(ratio);
+  }
+
+  /**
+   * Fill to the value; CSS transitions --meter-value
+   */
+  fill() {
+    const { value, max } = this.options;
+    const ratio = max > 0 ? Math.min(1, Math.max(0, value / max)) : 0;
+    this.element.style.setProperty('--meter-value', ratio.toFixed(3));
+  }
+
+  /**
+   * Remove the meter
+   */
+  destroy() {
+    this.controller.abort();
+
+    const element = this.element;
+    element.classList.remove('meter', `meter-${this.options.type}`);
+    element.style.removeProperty('--meter-value');
+    ['role', 'aria-valuemin', 'aria-valuemax', 'aria-valuenow', 'aria-valuetext']
+      .forEach(attribute => element.removeAttribute(attribute));
+    if (this.labelled) element.removeAttribute('aria-label');
+  }
+}
+
+// Export individual classes as default export object
+export default { Counter, ProgressMeter };
@@ -0,0 +1,165 @@
+/**
+ * Effects Scheduler
+ * A single requestAnimationFrame loop shared by the ambient effects.
+ * Effects stop in hidden tabs, under prefers-reduced-motion, in themes
+ * they do not belong to, and while the app pauses all effects.
+ */
+
+import { getActiveTheme } from './themes.js';
+
+export class EffectsScheduler {
+  constructor() {
+    this.effects = new Map();
+    this.frameId = null;
+    this.paused = false;
+    this.hidden = document.visibilityState === 'hidden';
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.reducedMotion = this.motionQuery.matches;
+    this.theme = getActiveTheme();
+
+    this.tick = this.tick.bind(this);
+    this.init();
+  }
+
+  init() {
+    document.addEventListener('visibilitychange', () => {
+      this.hidden = document.visibilityState === 'hidden';
+      this.update();
+    });
+
+    this.motionQuery.addEventListener('change', (e) => {
+      this.reducedMotion = e.matches;
+      this.update();
+    });
+
+    window.addEventListener('themechange', (e) => {
+      this.theme = e.detail.descriptor || getActiveTheme();
+      this.update();
+    });
+  }
+
+  /**
+   * Register an effect with the shared loop
+   * @param {*} key - Unique key, e.g. a name or the effect instance
+   * @param {Function} callback - Called with (time, elapsed) in ms on each frame
+   * @param {Object} [options]
+   * @param {number} [options.fps=60] - Target frame rate
+   * @param {Function} [options.when] - Theme predicate; receives the theme descriptor
+   * @param {Function} [options.onStateChange] - Called with true/false when the effect starts or stops
+   * @returns {Function} Unregister function
+   */
+  register(key, callback, options = {}) {
+    this.unregister(key);
+
+    this.effects.set(key, {
+      callback,
+      interval: 1000 / (options.fps || 60),
+      when: options.when || (() => true),
+      onStateChange: options.onStateChange || null,
+      active: false,
+      last: 0
+    });
+
+    this.update();
+    return () => this.unregister(key);
+  }
+
+  /**
+   * Remove an effect from the loop
+   * @param {*} key
+   */
+  unregister(key) {
+    const effect = this.effects.get(key);
+    if (!effect) return;
+
+    this.effects.delete(key);
+    if (effect.active) {
+      effect.onStateChange?.(false);
+    }
+    this.update();
+  }
+
+  /**
+   * Whether an effect is currently receiving frames
+   * @param {*} key
+   * @returns {boolean}
+   */
+  isRunning(key) {
+    return Boolean(this.effects.get(key)?.active);
+  }
+
+  /**
+   * Pause every effect until resumeAll()
+   */
+  pauseAll() {
+    this.paused = true;
+    this.update();
+  }
+
+  /**
+   * Resume effects paused with pauseAll()
+   */
+  resumeAll() {
+    this.paused = false;
+    this.update();
+  }
+
+  /**
+   * Recompute which effects should run and start or stop the loop
+   */
+  update() {
+    const allowed = !this.paused && !this.hidden && !this.reducedMotion;
+
+    this.effects.forEach(effect => {
+      const active = allowed && Boolean(effect.when(this.theme));
+      if (active === effect.active) return;
+
+      effect.active = active;
+      // Start timing afresh so effects don't jump after a pause
+      effect.last = 0;
+      effect.onStateChange?.(active);
+    });
+
+    const needsLoop = Array.from(this.effects.values()).some(effect => effect.active);
+
+    if (needsLoop && !this.frameId) {
+      this.frameId = requestAnimationFrame(this.tick);
+    } else if (!needsLoop && this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Frame loop; runs each active effect at its own target FPS
+   * @param {number} time
+   */
+  tick(time) {
+    this.frameId = requestAnimationFrame(this.tick);
+
+    this.effects.forEach(effect => {
+      if (!effect.active) return;
+
+      if (!effect.last) {
+        effect.last = time;
+        return;
+      }
+
+      const elapsed = time - effect.last;
+      // 1ms of slack so a 60fps effect doesn't skip frames on a 60Hz display
+      if (elapsed < effect.interval - 1) return;
+
+      effect.last = time - (elapsed % effect.interval);
+
+      try {
+        effect.callback(time, elapsed);
+      } catch (e) {
+        console.error('Effect error:', e);
+      }
+    });
+  }
+}
+
+const effectsScheduler = new EffectsScheduler();
+
+export default effectsScheduler;
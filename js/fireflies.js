@@ -1,71 +1,163 @@
-// Fireflies — tiny glowing particles drifting like dust in sunlight
-(function () {
-  // Only in light mode
-  function isDark() {
-    return document.documentElement.getAttribute('data-theme') === 'dark';
-  }
+/**
+ * Fireflies
+ * Tiny glowing particles drifting like dust in sunlight.
+ * Renders one <div> per firefly, or a single canvas for large counts.
+ */
 
-  const COUNT = 18;
-  const fireflies = [];
+import effectsScheduler from './effects-scheduler.js';
 
-  function random(min, max) {
-    return Math.random() * (max - min) + min;
-  }
+const random = (min, max) => Math.random() * (max - min) + min;
 
-  function createFirefly() {
-    const el = document.createElement('div');
-    el.className = 'firefly';
-    const size = random(3, 7);
-    el.style.width = size + 'px';
-    el.style.height = size + 'px';
-
-    // Start position — center-biased
-    let x = random(15, 85);
-    let y = random(10, 80);
-    el.style.left = x + 'vw';
-    el.style.top = y + 'vh';
-    el.style.opacity = '0';
-
-    document.body.appendChild(el);
-
-    return {
-      el,
-      x,
-      y,
-      size,
-      // Drift direction & speed
-      dx: random(-0.15, 0.15),
-      dy: random(-0.1, 0.08),
-      // Glow cycle
-      phase: random(0, Math.PI * 2),
-      speed: random(0.3, 0.8),
+export default class Fireflies {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+
+    if (!this.container) {
+      console.warn('Fireflies container not found');
+      return;
+    }
+
+    const data = this.container.dataset;
+
+    this.options = {
+      count: Number(options.count ?? data.firefliesCount) || 18,
+      color: options.color || '255, 240, 160', // "r, g, b"
+      size: { min: 3, max: 7, ...options.size },
+      drift: options.drift ?? 1, // speed multiplier
+      renderer: (options.renderer || data.firefliesRenderer) === 'canvas' ? 'canvas' : 'dom',
+      fps: options.fps || 60
     };
+
+    this.fireflies = [];
+    this.canvas = null;
+    this.ctx = null;
+    this.running = false;
+    this.controller = new AbortController();
+
+    this.animate = this.animate.bind(this);
+    this.init();
   }
 
-  function init() {
-    for (let i = 0; i < COUNT; i++) {
-      fireflies.push(createFirefly());
+  /**
+   * Initialize fireflies
+   */
+  init() {
+    this.container.style.setProperty('--firefly-color', this.options.color);
+
+    if (this.options.renderer === 'canvas') {
+      this.canvas = document.createElement('canvas');
+      this.canvas.className = 'fireflies-canvas';
+      this.ctx = this.canvas.getContext('2d');
+      this.container.appendChild(this.canvas);
+
+      this.resize();
+      window.addEventListener('resize', () => this.resize(), { signal: this.controller.signal });
     }
-    requestAnimationFrame(animate);
+
+    this.createFireflies();
+    this.start();
   }
 
-  let lastTime = 0;
-  function animate(time) {
-    if (!lastTime) lastTime = time;
-    const dt = (time - lastTime) / 1000;
-    lastTime = time;
+  /**
+   * Match the canvas to the viewport
+   */
+  resize() {
+    const dpr = window.devicePixelRatio || 1;
+    this.width = window.innerWidth;
+    this.height = window.innerHeight;
+    this.canvas.width = this.width * dpr;
+    this.canvas.height = this.height * dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /**
+   * Create the fireflies (and their elements for the DOM renderer)
+   */
+  createFireflies() {
+    const { count, size } = this.options;
+
+    for (let i = 0; i < count; i++) {
+      const firefly = {
+        el: null,
+        // Start position — center-biased, in % of the viewport
+        x: random(15, 85),
+        y: random(10, 80),
+        size: random(size.min, size.max),
+        // Drift direction & speed
+        dx: random(-0.15, 0.15),
+        dy: random(-0.1, 0.08),
+        // Glow cycle
+        phase: random(0, Math.PI * 2),
+        speed: random(0.3, 0.8),
+        glow: 0
+      };
+
+      if (this.options.renderer === 'dom') {
+        firefly.el = document.createElement('div');
+        firefly.el.className = 'firefly';
+        firefly.el.style.width = `${firefly.size}px`;
+        firefly.el.style.height = `${firefly.size}px`;
+        firefly.el.style.opacity = '0';
+        this.container.appendChild(firefly.el);
+      }
 
-    const dark = isDark();
+      this.fireflies.push(firefly);
+    }
+  }
 
-    for (const f of fireflies) {
-      if (dark) {
-        f.el.style.opacity = '0';
-        continue;
+  /**
+   * Start animating on the shared effects loop.
+   * Only runs in themes that enable fireflies (light-based themes by default).
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    effectsScheduler.register(this, this.animate, {
+      fps: this.options.fps,
+      when: theme => theme.effects.fireflies,
+      onStateChange: (active) => {
+        if (!active) this.hide();
       }
+    });
+  }
+
+  /**
+   * Stop animating and hide the fireflies
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    effectsScheduler.unregister(this);
+    this.hide();
+  }
+
+  /**
+   * Hide every firefly without discarding it
+   */
+  hide() {
+    if (this.ctx) {
+      this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    this.fireflies.forEach(f => {
+      if (f.el) f.el.style.opacity = '0';
+    });
+  }
+
+  /**
+   * Advance and draw one frame
+   * @param {number} time
+   * @param {number} elapsed - ms since the last frame
+   */
+  animate(time, elapsed) {
+    const dt = elapsed / 1000;
+    const drift = dt * 8 * this.options.drift;
 
-      // Drift
-      f.x += f.dx * dt * 8;
-      f.y += f.dy * dt * 8;
+    this.fireflies.forEach(f => {
+      f.x += f.dx * drift;
+      f.y += f.dy * drift;
 
       // Wrap around gently
       if (f.x < -5) f.x = 105;
@@ -75,21 +167,68 @@
 
       // Glow pulse
       f.phase += f.speed * dt;
-      const glow = 0.15 + 0.55 * Math.pow(Math.sin(f.phase), 2);
+      f.glow = 0.15 + 0.55 * Math.pow(Math.sin(f.phase), 2);
+    });
 
-      f.el.style.left = f.x + 'vw';
-      f.el.style.top = f.y + 'vh';
-      f.el.style.opacity = glow.toFixed(3);
-      f.el.style.boxShadow = `0 0 ${f.size * 2}px rgba(255, 235, 150, ${(glow * 0.6).toFixed(3)})`;
+    if (this.ctx) {
+      this.drawCanvas();
+    } else {
+      this.drawDom();
     }
+  }
+
+  /**
+   * Position and light the firefly elements
+   */
+  drawDom() {
+    const { color } = this.options;
+
+    this.fireflies.forEach(f => {
+      f.el.style.left = `${f.x}%`;
+      f.el.style.top = `${f.y}%`;
+      f.el.style.opacity = f.glow.toFixed(3);
+      f.el.style.boxShadow = `0 0 ${f.size * 2}px rgba(${color}, ${(f.glow * 0.6).toFixed(3)})`;
+    });
+  }
 
-    requestAnimationFrame(animate);
+  /**
+   * Draw every firefly onto the canvas
+   */
+  drawCanvas() {
+    const { ctx } = this;
+    const { color } = this.options;
+
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    this.fireflies.forEach(f => {
+      const x = (f.x / 100) * this.width;
+      const y = (f.y / 100) * this.height;
+      // Core plus the glow the DOM renderer gets from box-shadow
+      const radius = f.size * 1.5;
+
+      const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+      gradient.addColorStop(0, `rgba(${color}, ${(0.95 * f.glow).toFixed(3)})`);
+      gradient.addColorStop(0.33, `rgba(${color}, ${(0.3 * f.glow).toFixed(3)})`);
+      gradient.addColorStop(1, `rgba(${color}, 0)`);
+
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fillStyle = gradient;
+      ctx.fill();
+    });
   }
 
-  // Start after page load
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  /**
+   * Stop and remove everything the fireflies added
+   */
+  destroy() {
+    this.stop();
+    this.controller.abort();
+
+    this.fireflies.forEach(f => f.el?.remove());
+    this.fireflies = [];
+    this.canvas?.remove();
+    this.canvas = null;
+    this.ctx = null;
   }
-})();
+}
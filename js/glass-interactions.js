@@ -1,13 +1,19 @@
 /**
  * Glass Interactions
- * 3D tilt effects and glass morphing on hover
+ * 3D tilt effects and glass morphing on hover, set up from
+ * data-tilt / data-glass-morph attributes by GlassInteractions
  */
 
 /**
  * Tilt Effect Class
- * Adds 3D tilt effect to elements on mouse move
+ * Adds 3D tilt effect to elements on pointer move (mouse, pen or touch),
+ * or with the device's orientation when the gyroscope option is on
  */
 export class TiltEffect {
+  /**
+   * @param {string|HTMLElement|HTMLElement[]} selector - Selector or elements
+   * @param {Object} [options]
+   */
   constructor(selector, options = {}) {
     this.selector = selector;
     this.options = {
@@ -16,10 +22,24 @@ export class TiltEffect {
       scale: options.scale || 1.02,
       speed: options.speed || 400, // transition duration in ms
       glare: options.glare || false,
+      reverse: options.reverse || false, // tilt towards the pointer instead of away
+      gyroscope: options.gyroscope || false, // tilt with the device on phones and tablets
+      gyroscopeRange: options.gyroscopeRange || 30, // device degrees for full tilt
       ...options
     };
 
+    // Per-axis limits fall back to maxTilt
+    this.options.maxTiltX = options.maxTiltX ?? this.options.maxTilt;
+    this.options.maxTiltY = options.maxTiltY ?? this.options.maxTilt;
+
     this.elements = [];
+    this.controllers = new Map(); // element -> AbortController for its listeners
+    this.transitionTimers = new Map(); // element -> timeout restoring its own transition
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.orientationBase = null;
+    this.orientationFrame = null;
+    this.handleOrientation = this.handleOrientation.bind(this);
+    this.handleMotionChange = this.handleMotionChange.bind(this);
     this.init();
   }
 
@@ -27,7 +47,7 @@ export class TiltEffect {
    * Initialize tilt effect
    */
   init() {
-    this.elements = Array.from(document.querySelectorAll(this.selector));
+    this.elements = resolveElements(this.selector);
 
     if (this.elements.length === 0) {
       console.warn(`No elements found for selector: ${this.selector}`);
@@ -38,7 +58,11 @@ export class TiltEffect {
       this.setupElement(element);
     });
 
-    console.log(`Tilt effect initialized: ${this.elements.length} elements`);
+    this.motionQuery.addEventListener('change', this.handleMotionChange);
+
+    if (this.options.gyroscope) {
+      this.enableGyroscope();
+    }
   }
 
   /**
@@ -46,50 +70,130 @@ export class TiltEffect {
    * @param {HTMLElement} element
    */
   setupElement(element) {
-    // Store original transform style
+    // Store original transform and transition styles
     element.dataset.originalTransform = element.style.transform || '';
+    element.dataset.originalTransition = element.style.transition || '';
+
+    // Set up event listeners, removed together by aborting the controller
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.controllers.set(element, controller);
+
+    element.addEventListener('pointerenter', (e) => this.handlePointerEnter(e), { signal });
+    element.addEventListener('pointermove', (e) => this.handlePointerMove(e), { signal });
+    element.addEventListener('pointerleave', (e) => this.handlePointerLeave(e), { signal });
+    // Touches and pens don't leave when lifted, and scrolling cancels them
+    element.addEventListener('pointerup', (e) => this.handlePointerLeave(e), { signal });
+    element.addEventListener('pointercancel', (e) => this.handlePointerLeave(e), { signal });
+  }
 
-    // Set up event listeners
-    element.addEventListener('mouseenter', this.handleMouseEnter.bind(this));
-    element.addEventListener('mousemove', this.handleMouseMove.bind(this));
-    element.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+  /**
+   * Add the tilt's transform transition to the element's own ones
+   * (e.g. a card's hover shadow) instead of replacing them
+   * @param {HTMLElement} element
+   */
+  applyTransition(element) {
+    clearTimeout(this.transitionTimers.get(element));
+    if (element.dataset.tiltTransition) return;
 
-    // Set transition
-    element.style.transition = `transform ${this.options.speed}ms cubic-bezier(0.03, 0.98, 0.52, 0.99)`;
+    element.style.transition = element.dataset.originalTransition || '';
+    const style = window.getComputedStyle(element);
+    const hasOwn = style.transitionDuration.split(',').some(duration => parseFloat(duration) > 0);
+    const tilt = `transform ${this.options.speed}ms cubic-bezier(0.03, 0.98, 0.52, 0.99)`;
+
+    element.style.transition = hasOwn ? `${style.transition}, ${tilt}` : tilt;
+    element.dataset.tiltTransition = 'true';
   }
 
   /**
-   * Handle mouse enter
-   * @param {MouseEvent} e
+   * Hand the element back its own transition once it has returned to rest
+   * @param {HTMLElement} element
+   */
+  restoreTransition(element) {
+    clearTimeout(this.transitionTimers.get(element));
+    if (!element.dataset.tiltTransition) return;
+
+    this.transitionTimers.set(element, setTimeout(() => {
+      this.transitionTimers.delete(element);
+      element.style.transition = element.dataset.originalTransition || '';
+      delete element.dataset.tiltTransition;
+    }, this.options.speed));
+  }
+
+  /**
+   * Whether tilting is allowed (never under reduced motion)
+   * @returns {boolean}
    */
-  handleMouseEnter(e) {
+  isEnabled() {
+    return !this.motionQuery.matches;
+  }
+
+  /**
+   * Handle pointer enter
+   * @param {PointerEvent} e
+   */
+  handlePointerEnter(e) {
+    if (!this.isEnabled()) return;
+
     const element = e.currentTarget;
     element.style.willChange = 'transform';
   }
 
   /**
-   * Handle mouse move
-   * @param {MouseEvent} e
+   * Handle pointer move
+   * @param {PointerEvent} e
    */
-  handleMouseMove(e) {
+  handlePointerMove(e) {
+    if (!this.isEnabled()) return;
+
     const element = e.currentTarget;
     const rect = element.getBoundingClientRect();
 
-    // Calculate mouse position relative to card center
+    // Calculate pointer position relative to card center
     const centerX = rect.left + rect.width / 2;
     const centerY = rect.top + rect.height / 2;
-    const mouseX = e.clientX - centerX;
-    const mouseY = e.clientY - centerY;
+    const pointerX = e.clientX - centerX;
+    const pointerY = e.clientY - centerY;
 
     // Calculate percentages
-    const percentX = mouseX / (rect.width / 2);
-    const percentY = mouseY / (rect.height / 2);
+    const percentX = pointerX / (rect.width / 2);
+    const percentY = pointerY / (rect.height / 2);
+
+    element.dataset.tiltPointer = 'true';
+    this.tilt(element, percentX, percentY);
+  }
+
+  /**
+   * Handle pointer leave (and touch/pen lift-off)
+   * @param {PointerEvent} e
+   */
+  handlePointerLeave(e) {
+    // A mouse button release doesn't mean the pointer has left
+    if (e.type === 'pointerup' && e.pointerType === 'mouse') return;
+
+    const element = e.currentTarget;
+    delete element.dataset.tiltPointer;
+    this.reset(element);
+  }
+
+  /**
+   * Tilt an element
+   * @param {HTMLElement} element
+   * @param {number} percentX - -1 (left) to 1 (right)
+   * @param {number} percentY - -1 (top) to 1 (bottom)
+   */
+  tilt(element, percentX, percentY) {
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    const direction = this.options.reverse ? -1 : 1;
+    const x = clamp(percentX);
+    const y = clamp(percentY);
 
-    // Calculate tilt angles
-    const rotateY = percentX * this.options.maxTilt;
-    const rotateX = -percentY * this.options.maxTilt;
+    // Calculate tilt angles, clamped per axis
+    const rotateY = x * this.options.maxTiltY * direction;
+    const rotateX = -y * this.options.maxTiltX * direction;
 
     // Apply 3D transform
+    this.applyTransition(element);
     element.style.transform = `
       perspective(${this.options.perspective}px)
       rotateX(${rotateX}deg)
@@ -99,24 +203,18 @@ export class TiltEffect {
 
     // Add glare effect if enabled
     if (this.options.glare) {
-      this.updateGlare(element, percentX, percentY);
+      this.updateGlare(element, x, y);
     }
   }
 
   /**
-   * Handle mouse leave
-   * @param {MouseEvent} e
+   * Return an element to rest
+   * @param {HTMLElement} element
    */
-  handleMouseLeave(e) {
-    const element = e.currentTarget;
-
-    // Reset transform
-    element.style.transform = `
-      perspective(${this.options.perspective}px)
-      rotateX(0deg)
-      rotateY(0deg)
-      scale3d(1, 1, 1)
-    `;
+  reset(element) {
+    // Back to the element's own transform, so CSS hover transforms apply again
+    element.style.transform = element.dataset.originalTransform || '';
+    this.restoreTransition(element);
 
     // Remove will-change
     element.style.willChange = 'auto';
@@ -130,6 +228,76 @@ export class TiltEffect {
     }
   }
 
+  /**
+   * Settle everything when reduced motion is turned on
+   */
+  handleMotionChange() {
+    if (!this.isEnabled()) {
+      this.elements.forEach(element => this.reset(element));
+    }
+  }
+
+  /**
+   * Tilt elements with the device's orientation. iOS only allows this
+   * after the user grants permission from a gesture, so ask on the first tap.
+   */
+  enableGyroscope() {
+    if (typeof DeviceOrientationEvent === 'undefined') return;
+
+    const listen = () => window.addEventListener('deviceorientation', this.handleOrientation);
+
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+      listen();
+      return;
+    }
+
+    document.addEventListener('click', () => {
+      DeviceOrientationEvent.requestPermission()
+        .then(state => {
+          if (state === 'granted') listen();
+        })
+        .catch(e => console.warn('Device orientation permission error:', e));
+    }, { once: true });
+  }
+
+  /**
+   * Stop following the device's orientation
+   */
+  disableGyroscope() {
+    window.removeEventListener('deviceorientation', this.handleOrientation);
+    cancelAnimationFrame(this.orientationFrame);
+    this.orientationFrame = null;
+    this.orientationBase = null;
+  }
+
+  /**
+   * Handle device orientation, relative to how the device was first held
+   * @param {DeviceOrientationEvent} e
+   */
+  handleOrientation(e) {
+    if (e.beta === null || e.gamma === null || !this.isEnabled()) return;
+
+    if (!this.orientationBase) {
+      this.orientationBase = { beta: e.beta, gamma: e.gamma };
+    }
+
+    const range = this.options.gyroscopeRange;
+    const percentX = (e.gamma - this.orientationBase.gamma) / range;
+    const percentY = (e.beta - this.orientationBase.beta) / range;
+
+    // Orientation events fire faster than frames
+    if (this.orientationFrame) return;
+    this.orientationFrame = requestAnimationFrame(() => {
+      this.orientationFrame = null;
+      this.elements.forEach(element => {
+        // A finger on the card takes precedence
+        if (!element.dataset.tiltPointer) {
+          this.tilt(element, percentX, percentY);
+        }
+      });
+    });
+  }
+
   /**
    * Update glare effect
    * @param {HTMLElement} element
@@ -167,7 +335,7 @@ export class TiltEffect {
    * @param {HTMLElement|HTMLElement[]} elements
    */
   add(elements) {
-    const elementsArray = Array.isArray(elements) ? elements : [elements];
+    const elementsArray = [elements].flat();
 
     elementsArray.forEach(element => {
       if (element instanceof HTMLElement && !this.elements.includes(element)) {
@@ -177,23 +345,38 @@ export class TiltEffect {
     });
   }
 
+  /**
+   * Remove an element's listeners and the styles the effect set
+   * @param {HTMLElement} element
+   */
+  teardownElement(element) {
+    this.controllers.get(element)?.abort();
+    this.controllers.delete(element);
+
+    clearTimeout(this.transitionTimers.get(element));
+    this.transitionTimers.delete(element);
+
+    element.querySelector('.tilt-glare')?.remove();
+    element.style.transform = element.dataset.originalTransform || '';
+    element.style.transition = element.dataset.originalTransition || '';
+    element.style.willChange = '';
+    delete element.dataset.originalTransform;
+    delete element.dataset.originalTransition;
+    delete element.dataset.tiltTransition;
+    delete element.dataset.tiltPointer;
+  }
+
   /**
    * Remove elements
    * @param {HTMLElement|HTMLElement[]} elements
    */
   remove(elements) {
-    const elementsArray = Array.isArray(elements) ? elements : [elements];
+    const elementsArray = [elements].flat();
 
     elementsArray.forEach(element => {
       const index = this.elements.indexOf(element);
       if (index > -1) {
-        // Remove event listeners
-        element.removeEventListener('mouseenter', this.handleMouseEnter.bind(this));
-        element.removeEventListener('mousemove', this.handleMouseMove.bind(this));
-        element.removeEventListener('mouseleave', this.handleMouseLeave.bind(this));
-
-        // Reset transform
-        element.style.transform = '';
+        this.teardownElement(element);
 
         // Remove from array
         this.elements.splice(index, 1);
@@ -205,14 +388,10 @@ export class TiltEffect {
    * Destroy tilt effect
    */
   destroy() {
-    this.elements.forEach(element => {
-      element.removeEventListener('mouseenter', this.handleMouseEnter.bind(this));
-      element.removeEventListener('mousemove', this.handleMouseMove.bind(this));
-      element.removeEventListener('mouseleave', this.handleMouseLeave.bind(this));
-      element.style.transform = '';
-      element.style.willChange = 'auto';
-    });
+    this.elements.forEach(element => this.teardownElement(element));
 
+    this.motionQuery.removeEventListener('change', this.handleMotionChange);
+    this.disableGyroscope();
     this.elements = [];
   }
 }
@@ -222,9 +401,13 @@ export class TiltEffect {
  * Enhanced glass morphing effects on hover
  */
 export class GlassMorph {
+  /**
+   * @param {string|HTMLElement|HTMLElement[]} selector - Selector or elements
+   */
   constructor(selector) {
     this.selector = selector;
     this.elements = [];
+    this.controllers = new Map(); // element -> AbortController for its listeners
     this.init();
   }
 
@@ -232,7 +415,7 @@ export class GlassMorph {
    * Initialize glass morph
    */
   init() {
-    this.elements = Array.from(document.querySelectorAll(this.selector));
+    this.elements = resolveElements(this.selector);
 
     if (this.elements.length === 0) {
       console.warn(`No elements found for selector: ${this.selector}`);
@@ -242,8 +425,6 @@ export class GlassMorph {
     this.elements.forEach(element => {
       this.setupElement(element);
     });
-
-    console.log(`Glass morph initialized: ${this.elements.length} elements`);
   }
 
   /**
@@ -251,12 +432,12 @@ export class GlassMorph {
    * @param {HTMLElement} element
    */
   setupElement(element) {
-    // Store original styles
-    const computedStyle = window.getComputedStyle(element);
-    element.dataset.originalBlur = computedStyle.getPropertyValue('--blur-strength') || '20px';
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.controllers.set(element, controller);
 
-    element.addEventListener('mouseenter', this.morphIn.bind(this));
-    element.addEventListener('mouseleave', this.morphOut.bind(this));
+    element.addEventListener('mouseenter', (e) => this.morphIn(e), { signal });
+    element.addEventListener('mouseleave', (e) => this.morphOut(e), { signal });
   }
 
   /**
@@ -266,18 +447,9 @@ export class GlassMorph {
   morphIn(e) {
     const element = e.currentTarget;
 
-    // Increase blur
-    element.style.setProperty('--blur-strength', '30px');
-
-    // Get current theme
-    const theme = document.documentElement.getAttribute('data-theme');
-
-    // Adjust background opacity based on theme
-    if (theme === 'dark') {
-      element.style.background = 'rgba(29, 29, 31, 0.9)';
-    } else {
-      element.style.background = 'rgba(255, 255, 255, 0.9)';
-    }
+    // Increase blur and tint with the theme's glass values (variables.css)
+    element.style.setProperty('--glass-blur', 'var(--glass-blur-strong)');
+    element.style.background = 'var(--glass-bg-hover)';
   }
 
   /**
@@ -287,28 +459,216 @@ export class GlassMorph {
   morphOut(e) {
     const element = e.currentTarget;
 
-    // Reset blur
-    const originalBlur = element.dataset.originalBlur || '20px';
-    element.style.setProperty('--blur-strength', originalBlur);
+    // Reset blur and background to the stylesheet's
+    element.style.removeProperty('--glass-blur');
+    element.style.background = '';
+  }
+
+  /**
+   * Add new elements
+   * @param {HTMLElement|HTMLElement[]} elements
+   */
+  add(elements) {
+    [elements].flat().forEach(element => {
+      if (element instanceof HTMLElement && !this.elements.includes(element)) {
+        this.setupElement(element);
+        this.elements.push(element);
+      }
+    });
+  }
+
+  /**
+   * Remove an element's listeners and the styles the effect set
+   * @param {HTMLElement} element
+   */
+  teardownElement(element) {
+    this.controllers.get(element)?.abort();
+    this.controllers.delete(element);
 
-    // Reset background
+    element.style.removeProperty('--glass-blur');
     element.style.background = '';
   }
 
+  /**
+   * Remove elements
+   * @param {HTMLElement|HTMLElement[]} elements
+   */
+  remove(elements) {
+    [elements].flat().forEach(element => {
+      const index = this.elements.indexOf(element);
+      if (index > -1) {
+        this.teardownElement(element);
+        this.elements.splice(index, 1);
+      }
+    });
+  }
+
   /**
    * Destroy glass morph
    */
   destroy() {
-    this.elements.forEach(element => {
-      element.removeEventListener('mouseenter', this.morphIn.bind(this));
-      element.removeEventListener('mouseleave', this.morphOut.bind(this));
-      element.style.setProperty('--blur-strength', '');
-      element.style.background = '';
+    this.elements.forEach(element => this.teardownElement(element));
+    this.elements = [];
+  }
+}
+
+/**
+ * Glass Interactions
+ * Sets up TiltEffect and GlassMorph from data attributes, including on
+ * elements added later (e.g. rendered project cards):
+ *
+ *   <a class="project-preview" data-tilt data-tilt-max="8" data-tilt-glare>
+ *   <div class="glass-panel" data-glass-morph>
+ *
+ * Tilt options: data-tilt-max, data-tilt-max-x, data-tilt-max-y,
+ * data-tilt-perspective, data-tilt-scale, data-tilt-speed, data-tilt-glare,
+ * data-tilt-reverse and data-tilt-gyroscope
+ */
+export class GlassInteractions {
+  constructor(root = document.body, options = {}) {
+    this.root = root;
+    this.options = {
+      tiltSelector: options.tiltSelector || '[data-tilt]',
+      morphSelector: options.morphSelector || '[data-glass-morph]'
+    };
+
+    this.tilts = new Map(); // serialized options -> TiltEffect shared by matching elements
+    this.morph = null;
+    this.observer = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize from the current document and watch for changes
+   */
+  init() {
+    this.scan(this.root);
+
+    this.observer = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.removedNodes.forEach(node => this.release(node));
+        mutation.addedNodes.forEach(node => this.scan(node));
+      });
     });
+    this.observer.observe(this.root, { childList: true, subtree: true });
+  }
 
-    this.elements = [];
+  /**
+   * Elements matching a selector within a node, including the node itself
+   * @param {Node} node
+   * @param {string} selector
+   * @returns {HTMLElement[]}
+   */
+  static query(node, selector) {
+    if (!(node instanceof Element)) return [];
+
+    const matches = Array.from(node.querySelectorAll(selector));
+    if (node.matches(selector)) matches.unshift(node);
+    return matches;
+  }
+
+  /**
+   * Set up effects for annotated elements within a node
+   * @param {Node} node
+   */
+  scan(node) {
+    GlassInteractions.query(node, this.options.tiltSelector).forEach(element => {
+      const options = GlassInteractions.parseTiltOptions(element);
+      const key = JSON.stringify(options);
+      const tilt = this.tilts.get(key);
+
+      if (tilt) {
+        tilt.add(element);
+      } else {
+        this.tilts.set(key, new TiltEffect([element], options));
+      }
+    });
+
+    const morphs = GlassInteractions.query(node, this.options.morphSelector);
+    if (!morphs.length) return;
+
+    if (this.morph) {
+      this.morph.add(morphs);
+    } else {
+      this.morph = new GlassMorph(morphs);
+    }
+  }
+
+  /**
+   * Tear down effects for elements removed from the document
+   * @param {Node} node
+   */
+  release(node) {
+    // Elements moved within the document are re-added by the same mutation batch
+    GlassInteractions.query(node, this.options.tiltSelector).forEach(element => {
+      this.tilts.forEach(tilt => tilt.remove(element));
+    });
+
+    if (this.morph) {
+      this.morph.remove(GlassInteractions.query(node, this.options.morphSelector));
+    }
+  }
+
+  /**
+   * Read TiltEffect options from an element's data-tilt-* attributes
+   * @param {HTMLElement} element
+   * @returns {Object}
+   */
+  static parseTiltOptions(element) {
+    const data = element.dataset;
+    const options = {};
+
+    const numbers = {
+      maxTilt: data.tiltMax,
+      maxTiltX: data.tiltMaxX,
+      maxTiltY: data.tiltMaxY,
+      perspective: data.tiltPerspective,
+      scale: data.tiltScale,
+      speed: data.tiltSpeed
+    };
+    Object.entries(numbers).forEach(([name, value]) => {
+      if (value !== undefined && value !== '' && !Number.isNaN(Number(value))) {
+        options[name] = Number(value);
+      }
+    });
+
+    // Boolean attributes are on when present, unless set to "false"
+    const flags = {
+      glare: data.tiltGlare,
+      reverse: data.tiltReverse,
+      gyroscope: data.tiltGyroscope
+    };
+    Object.entries(flags).forEach(([name, value]) => {
+      if (value !== undefined) options[name] = value !== 'false';
+    });
+
+    return options;
+  }
+
+  /**
+   * Stop watching and remove every effect
+   */
+  destroy() {
+    this.observer?.disconnect();
+    this.tilts.forEach(tilt => tilt.destroy());
+    this.tilts.clear();
+    this.morph?.destroy();
+    this.morph = null;
+  }
+}
+
+/**
+ * Resolve a selector, element or element list to an array of elements
+ * @param {string|HTMLElement|HTMLElement[]} selector
+ * @returns {HTMLElement[]}
+ */
+function resolveElements(selector) {
+  if (typeof selector === 'string') {
+    return Array.from(document.querySelectorAll(selector));
   }
+  return [selector].flat().filter(element => element instanceof HTMLElement);
 }
 
 // Export individual classes as default export object
-export default { TiltEffect, GlassMorph };
+export default { TiltEffect, GlassMorph, GlassInteractions };
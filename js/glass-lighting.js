@@ -0,0 +1,271 @@
+/**
+ * Glass Lighting
+ * Pointer-driven specular highlight and edge light for glass surfaces,
+ * with optional SVG displacement refraction. Colours come from the
+ * --glass-specular / --glass-edge-light variables in variables.css,
+ * so every theme lights its glass differently.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FILTER_ID = 'glass-refraction';
+
+export default class GlassLighting {
+  constructor(options = {}) {
+    this.options = {
+      selector: options.selector || '.glass, .glass-panel, .glass-pill, .project-preview, .floating-nav',
+      radius: options.radius ?? 200, // px from an edge within which the edge lights up
+      // Bend what's behind matching surfaces with an SVG displacement map
+      refraction: options.refraction ?? false,
+      refractionSelector: options.refractionSelector || '.glass-panel'
+    };
+
+    this.elements = new Set();
+    this.visible = new Set();
+    this.positioned = new Set(); // elements given position: relative for the light layers
+    this.pointer = null;
+    this.frame = null;
+    this.filter = null;
+    this.visibilityObserver = null;
+    this.mutationObserver = null;
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.controller = new AbortController();
+
+    this.init();
+  }
+
+  /**
+   * Initialize lighting
+   */
+  init() {
+    const { signal } = this.controller;
+
+    // Only surfaces on screen are updated as the pointer moves
+    this.visibilityObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.visible.add(entry.target);
+        } else {
+          this.visible.delete(entry.target);
+          this.dim(entry.target);
+        }
+      });
+    });
+
+    this.add(document.querySelectorAll(this.options.selector));
+
+    // Pick up surfaces rendered later, such as project cards
+    this.mutationObserver = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => this.add(this.query(node)));
+        mutation.removedNodes.forEach(node => this.remove(this.query(node)));
+      });
+    });
+    this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+
+    window.addEventListener('pointermove', (e) => {
+      if (e.pointerType !== 'mouse' && e.pointerType !== 'pen') return;
+      this.pointer = { x: e.clientX, y: e.clientY };
+      this.requestUpdate();
+    }, { passive: true, signal });
+
+    // Scrolling moves surfaces under a still pointer
+    window.addEventListener('scroll', () => this.requestUpdate(), { passive: true, signal });
+
+    document.documentElement.addEventListener('pointerleave', () => {
+      this.pointer = null;
+      this.requestUpdate();
+    }, { signal });
+
+    this.motionQuery.addEventListener('change', () => this.requestUpdate(), { signal });
+
+    if (this.options.refraction && GlassLighting.supportsRefraction()) {
+      this.createRefractionFilter();
+      window.addEventListener('themechange', () => this.updateRefraction(), { signal });
+    }
+  }
+
+  /**
+   * Whether backdrop-filter renders SVG filter references (Chromium).
+   * WebKit parses url() but ignores it, so browsers that still take the
+   * -webkit- prefix are ruled out.
+   * @returns {boolean}
+   */
+  static supportsRefraction() {
+    return typeof CSS !== 'undefined' && CSS.supports('backdrop-filter', `url(#${FILTER_ID})`)
+      && !CSS.supports('-webkit-backdrop-filter', 'none');
+  }
+
+  /**
+   * Lit surfaces within a node, including the node itself
+   * @param {Node} node
+   * @returns {HTMLElement[]}
+   */
+  query(node) {
+    if (!(node instanceof Element)) return [];
+
+    const matches = Array.from(node.querySelectorAll(this.options.selector));
+    if (node.matches(this.options.selector)) matches.unshift(node);
+    return matches;
+  }
+
+  /**
+   * Light new surfaces
+   * @param {Iterable<HTMLElement>} elements
+   */
+  add(elements) {
+    Array.from(elements).forEach(element => {
+      if (this.elements.has(element)) return;
+
+      // The light layers are absolutely positioned inside the surface
+      if (window.getComputedStyle(element).position === 'static') {
+        element.style.position = 'relative';
+        this.positioned.add(element);
+      }
+
+      element.classList.add('glass-lit');
+      if (this.filter && element.matches(this.options.refractionSelector)) {
+        element.classList.add('glass-refract');
+      }
+
+      this.elements.add(element);
+      this.visibilityObserver.observe(element);
+    });
+  }
+
+  /**
+   * Stop lighting surfaces
+   * @param {Iterable<HTMLElement>} elements
+   */
+  remove(elements) {
+    Array.from(elements).forEach(element => {
+      if (!this.elements.has(element)) return;
+
+      this.visibilityObserver.unobserve(element);
+      this.elements.delete(element);
+      this.visible.delete(element);
+
+      element.classList.remove('glass-lit', 'glass-refract');
+      ['--glass-light-x', '--glass-light-y', '--glass-light-opacity', '--glass-edge-opacity']
+        .forEach(property => element.style.removeProperty(property));
+
+      if (this.positioned.delete(element)) {
+        element.style.position = '';
+      }
+    });
+  }
+
+  /**
+   * Update on the next frame; pointer events fire faster than frames
+   */
+  requestUpdate() {
+    if (this.frame) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  /**
+   * Move the light on each visible surface to the pointer
+   */
+  update() {
+    if (!this.pointer || this.motionQuery.matches) {
+      this.visible.forEach(element => this.dim(element));
+      return;
+    }
+
+    const { x, y } = this.pointer;
+    const { radius } = this.options;
+
+    this.visible.forEach(element => {
+      const rect = element.getBoundingClientRect();
+      const inside = x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+
+      // Distance from the pointer to the surface (0 when over it)
+      const dx = Math.max(rect.left - x, 0, x - rect.right);
+      const dy = Math.max(rect.top - y, 0, y - rect.bottom);
+      const edge = Math.max(0, 1 - Math.hypot(dx, dy) / radius);
+
+      element.style.setProperty('--glass-light-x', `${(x - rect.left).toFixed(1)}px`);
+      element.style.setProperty('--glass-light-y', `${(y - rect.top).toFixed(1)}px`);
+      element.style.setProperty('--glass-light-opacity', inside ? '1' : '0');
+      element.style.setProperty('--glass-edge-opacity', edge.toFixed(2));
+    });
+  }
+
+  /**
+   * Turn a surface's light off
+   * @param {HTMLElement} element
+   */
+  dim(element) {
+    element.style.setProperty('--glass-light-opacity', '0');
+    element.style.setProperty('--glass-edge-opacity', '0');
+  }
+
+  /**
+   * Add the hidden SVG filter that .glass-refract surfaces reference
+   */
+  createRefractionFilter() {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.style.position = 'absolute';
+
+    const filter = document.createElementNS(SVG_NS, 'filter');
+    filter.id = FILTER_ID;
+
+    const turbulence = document.createElementNS(SVG_NS, 'feTurbulence');
+    turbulence.setAttribute('type', 'fractalNoise');
+    turbulence.setAttribute('baseFrequency', '0.008 0.012');
+    turbulence.setAttribute('numOctaves', '2');
+    turbulence.setAttribute('seed', '7');
+    turbulence.setAttribute('result', 'noise');
+
+    const displacement = document.createElementNS(SVG_NS, 'feDisplacementMap');
+    displacement.setAttribute('in', 'SourceGraphic');
+    displacement.setAttribute('in2', 'noise');
+    displacement.setAttribute('xChannelSelector', 'R');
+    displacement.setAttribute('yChannelSelector', 'G');
+
+    filter.append(turbulence, displacement);
+    svg.appendChild(filter);
+    document.body.appendChild(svg);
+
+    this.filter = { svg, displacement };
+    this.updateRefraction();
+
+    this.elements.forEach(element => {
+      if (element.matches(this.options.refractionSelector)) {
+        element.classList.add('glass-refract');
+      }
+    });
+  }
+
+  /**
+   * Match the displacement strength to the theme's --glass-refraction-scale
+   */
+  updateRefraction() {
+    if (!this.filter) return;
+
+    const scale = window.getComputedStyle(document.documentElement)
+      .getPropertyValue('--glass-refraction-scale').trim();
+    this.filter.displacement.setAttribute('scale', scale || '0');
+  }
+
+  /**
+   * Remove lighting from every surface
+   */
+  destroy() {
+    this.controller.abort();
+    cancelAnimationFrame(this.frame);
+    this.mutationObserver?.disconnect();
+
+    this.remove(Array.from(this.elements));
+    this.visibilityObserver?.disconnect();
+
+    this.filter?.svg.remove();
+    this.filter = null;
+  }
+}
@@ -0,0 +1,536 @@
+/**
+ * Lightbox
+ * Fullscreen image viewer for any <img data-lightbox="group">,
+ * with zoom, pan, swipe and keyboard navigation within a group
+ */
+
+import { getActiveTheme } from './themes.js';
+
+export default class Lightbox {
+  constructor(options = {}) {
+    this.options = {
+      selector: options.selector || 'img[data-lightbox]',
+      minScale: options.minScale || 1,
+      maxScale: options.maxScale || 4,
+      zoomStep: options.zoomStep || 0.5,
+      swipeThreshold: options.swipeThreshold || 50
+    };
+
+    this.overlay = null;
+    this.stage = null;
+    this.image = null;
+    this.caption = null;
+    this.counter = null;
+    this.prevBtn = null;
+    this.nextBtn = null;
+    this.closeBtn = null;
+
+    this.items = [];
+    this.index = 0;
+    this.trigger = null;
+    this.isOpen = false;
+
+    // Zoom/pan state
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.pointers = new Map();
+    this.gesture = null;
+    this.suppressClick = false;
+    // Pointer capture retargets the click to the stage, so remember
+    // whether the press started on the backdrop or on the image
+    this.pressedBackdrop = false;
+
+    this.controller = new AbortController();
+
+    this.init();
+  }
+
+  /**
+   * Initialize lightbox
+   */
+  init() {
+    this.createOverlay();
+    this.prepareTriggers();
+    this.bindEvents();
+    this.applyTheme(getActiveTheme());
+  }
+
+  /**
+   * Build the dialog markup once
+   */
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'lightbox';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('aria-label', 'Image viewer');
+    this.overlay.hidden = true;
+
+    this.stage = document.createElement('div');
+    this.stage.className = 'lightbox-stage';
+
+    this.image = document.createElement('img');
+    this.image.className = 'lightbox-image';
+    this.image.draggable = false;
+    this.stage.appendChild(this.image);
+
+    this.caption = document.createElement('p');
+    this.caption.className = 'lightbox-caption';
+    this.caption.id = 'lightbox-caption';
+    this.overlay.setAttribute('aria-describedby', this.caption.id);
+
+    this.counter = document.createElement('p');
+    this.counter.className = 'lightbox-counter';
+    this.counter.setAttribute('aria-live', 'polite');
+
+    this.closeBtn = this.createButton('lightbox-close', 'Close image viewer', '×');
+    this.prevBtn = this.createButton('lightbox-prev', 'Previous image', '‹');
+    this.nextBtn = this.createButton('lightbox-next', 'Next image', '›');
+
+    this.overlay.append(this.stage, this.closeBtn, this.prevBtn, this.nextBtn, this.counter, this.caption);
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * @param {string} className
+   * @param {string} label
+   * @param {string} text
+   * @returns {HTMLButtonElement}
+   */
+  createButton(className, label, text) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `lightbox-btn ${className}`;
+    button.setAttribute('aria-label', label);
+    button.textContent = text;
+    return button;
+  }
+
+  /**
+   * Make standalone trigger images keyboard reachable.
+   * Carousel slides are reached through the carousel itself.
+   */
+  prepareTriggers() {
+    document.querySelectorAll(this.options.selector).forEach(img => {
+      if (img.closest('[data-carousel]') || img.hasAttribute('tabindex')) return;
+
+      img.setAttribute('tabindex', '0');
+      img.setAttribute('role', 'button');
+      img.setAttribute('aria-label', `View larger: ${img.alt || 'image'}`);
+    });
+  }
+
+  /**
+   * Set up delegated trigger listeners and dialog controls
+   */
+  bindEvents() {
+    const { signal } = this.controller;
+
+    // Open from any trigger, including ones added later
+    document.addEventListener('click', (e) => {
+      const img = e.target.closest(this.options.selector);
+      if (img && !this.overlay.contains(img)) {
+        e.preventDefault();
+        this.open(img);
+      }
+    }, { signal });
+
+    document.addEventListener('keydown', (e) => {
+      if (this.isOpen) {
+        this.handleKeydown(e);
+        return;
+      }
+
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+
+      let img = e.target.matches?.(this.options.selector) ? e.target : null;
+
+      // Enter on a focused carousel opens its active slide
+      if (!img && e.target.matches?.('[data-carousel]')) {
+        img = e.target.querySelector(`.carousel-slide.active${this.options.selector.replace(/^img/, '')}`);
+      }
+
+      if (img) {
+        e.preventDefault();
+        this.open(img);
+      }
+    }, { signal });
+
+    this.closeBtn.addEventListener('click', () => this.close(), { signal });
+    this.prevBtn.addEventListener('click', () => this.prev(), { signal });
+    this.nextBtn.addEventListener('click', () => this.next(), { signal });
+
+    // Click on the backdrop closes
+    this.overlay.addEventListener('click', (e) => {
+      // Ignore the click that ends a drag or swipe
+      if (this.suppressClick) {
+        this.suppressClick = false;
+        return;
+      }
+
+      const onBackdrop = e.target === this.stage && this.pressedBackdrop;
+      this.pressedBackdrop = false;
+
+      if (e.target === this.overlay || (onBackdrop && this.scale === 1)) {
+        this.close();
+      }
+    }, { signal });
+
+    // Zoom and pan
+    this.stage.addEventListener('wheel', this.handleWheel.bind(this), { passive: false, signal });
+    this.stage.addEventListener('dblclick', this.handleDoubleClick.bind(this), { signal });
+    this.stage.addEventListener('pointerdown', this.handlePointerDown.bind(this), { signal });
+    this.stage.addEventListener('pointermove', this.handlePointerMove.bind(this), { signal });
+    this.stage.addEventListener('pointerup', this.handlePointerUp.bind(this), { signal });
+    this.stage.addEventListener('pointercancel', this.handlePointerUp.bind(this), { signal });
+
+    window.addEventListener('resize', () => this.clampPan(), { signal });
+
+    window.addEventListener('themechange', (e) => {
+      this.applyTheme(e.detail.descriptor || getActiveTheme());
+    }, { signal });
+  }
+
+  /**
+   * Mirror the site color scheme on the overlay
+   * @param {import('./themes.js').ThemeDescriptor} theme
+   */
+  applyTheme(theme) {
+    this.overlay.dataset.scheme = theme.scheme;
+  }
+
+  /**
+   * Collect the group an image belongs to, in document order
+   * @param {HTMLImageElement} img
+   * @returns {HTMLImageElement[]}
+   */
+  getGroup(img) {
+    const group = img.dataset.lightbox;
+    if (!group) return [img];
+
+    return Array.from(document.querySelectorAll(this.options.selector))
+      .filter(el => el.dataset.lightbox === group);
+  }
+
+  /**
+   * Resolve the best source for an image, including lazy carousel slides
+   * @param {HTMLImageElement} img
+   * @returns {string}
+   */
+  getSource(img) {
+    return img.dataset.lightboxSrc || img.currentSrc || img.src || img.dataset.src || '';
+  }
+
+  /**
+   * Caption from the enclosing <figure>, falling back to alt text
+   * @param {HTMLImageElement} img
+   * @returns {string}
+   */
+  getCaption(img) {
+    const figcaption = img.closest('figure')?.querySelector('figcaption');
+    const text = figcaption ? figcaption.textContent.replace(/\s+/g, ' ').trim() : '';
+    return text || img.alt || '';
+  }
+
+  /**
+   * Open the lightbox on an image
+   * @param {HTMLImageElement} img
+   */
+  open(img) {
+    this.items = this.getGroup(img);
+    this.trigger = document.activeElement instanceof HTMLElement ? document.activeElement : img;
+    this.isOpen = true;
+
+    this.overlay.hidden = false;
+    document.documentElement.classList.add('lightbox-open');
+
+    this.show(this.items.indexOf(img));
+
+    // Let the display change apply before transitioning in
+    requestAnimationFrame(() => this.overlay.classList.add('is-open'));
+    this.closeBtn.focus();
+  }
+
+  /**
+   * Close the lightbox and return focus to the trigger
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.overlay.classList.remove('is-open');
+    this.overlay.hidden = true;
+    document.documentElement.classList.remove('lightbox-open');
+    this.resetZoom();
+
+    if (this.trigger && document.contains(this.trigger)) {
+      this.trigger.focus();
+    }
+    this.trigger = null;
+  }
+
+  /**
+   * Show an item of the current group
+   * @param {number} index
+   */
+  show(index) {
+    const count = this.items.length;
+    this.index = (index % count + count) % count;
+
+    const item = this.items[this.index];
+    this.image.src = this.getSource(item);
+    this.image.alt = item.alt || '';
+    this.caption.textContent = this.getCaption(item);
+    this.caption.hidden = !this.caption.textContent;
+
+    const single = count < 2;
+    this.prevBtn.hidden = single;
+    this.nextBtn.hidden = single;
+    this.counter.hidden = single;
+    this.counter.textContent = `${this.index + 1} / ${count}`;
+
+    this.resetZoom();
+  }
+
+  /**
+   * Next image in group
+   */
+  next() {
+    this.show(this.index + 1);
+  }
+
+  /**
+   * Previous image in group
+   */
+  prev() {
+    this.show(this.index - 1);
+  }
+
+  /**
+   * Keyboard controls while open, including the focus trap
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        this.prev();
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        this.next();
+        break;
+      case '+':
+      case '=':
+        e.preventDefault();
+        this.zoomTo(this.scale + this.options.zoomStep);
+        break;
+      case '-':
+        e.preventDefault();
+        this.zoomTo(this.scale - this.options.zoomStep);
+        break;
+      case '0':
+        e.preventDefault();
+        this.resetZoom();
+        break;
+      case 'Tab':
+        this.trapFocus(e);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Keep Tab focus inside the dialog
+   * @param {KeyboardEvent} e
+   */
+  trapFocus(e) {
+    const focusable = Array.from(this.overlay.querySelectorAll('button'))
+      .filter(button => !button.hidden);
+
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!this.overlay.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Zoom to a scale around a point (client coordinates, defaults to center)
+   * @param {number} scale
+   * @param {number} [clientX]
+   * @param {number} [clientY]
+   */
+  zoomTo(scale, clientX, clientY) {
+    const next = Math.max(this.options.minScale, Math.min(this.options.maxScale, scale));
+    const rect = this.stage.getBoundingClientRect();
+
+    // Offset of the zoom point from the stage center
+    const px = (clientX ?? rect.left + rect.width / 2) - (rect.left + rect.width / 2);
+    const py = (clientY ?? rect.top + rect.height / 2) - (rect.top + rect.height / 2);
+
+    // Keep the point under the cursor fixed while scaling
+    const ratio = next / this.scale;
+    this.x = px - (px - this.x) * ratio;
+    this.y = py - (py - this.y) * ratio;
+    this.scale = next;
+
+    this.clampPan();
+  }
+
+  /**
+   * Reset zoom and pan
+   */
+  resetZoom() {
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.applyTransform();
+  }
+
+  /**
+   * Keep the zoomed image covering the stage
+   */
+  clampPan() {
+    const maxX = Math.max(0, (this.image.offsetWidth * this.scale - this.stage.clientWidth) / 2);
+    const maxY = Math.max(0, (this.image.offsetHeight * this.scale - this.stage.clientHeight) / 2);
+
+    this.x = Math.max(-maxX, Math.min(maxX, this.x));
+    this.y = Math.max(-maxY, Math.min(maxY, this.y));
+
+    this.applyTransform();
+  }
+
+  /**
+   * Write zoom/pan state to the image
+   */
+  applyTransform() {
+    this.image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+    this.overlay.classList.toggle('is-zoomed', this.scale > 1);
+  }
+
+  /**
+   * Wheel / trackpad pinch zoom
+   * @param {WheelEvent} e
+   */
+  handleWheel(e) {
+    e.preventDefault();
+    const factor = Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.002));
+    this.zoomTo(this.scale * factor, e.clientX, e.clientY);
+  }
+
+  /**
+   * Double click toggles zoom at the cursor
+   * @param {MouseEvent} e
+   */
+  handleDoubleClick(e) {
+    if (this.scale > 1) {
+      this.resetZoom();
+    } else {
+      this.zoomTo(2, e.clientX, e.clientY);
+    }
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  handlePointerDown(e) {
+    if (this.pointers.size === 0) {
+      this.pressedBackdrop = e.target === this.stage;
+    }
+
+    this.stage.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 2) {
+      const [a, b] = Array.from(this.pointers.values());
+      this.gesture = {
+        type: 'pinch',
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        scale: this.scale
+      };
+    } else if (this.pointers.size === 1) {
+      this.gesture = {
+        type: this.scale > 1 ? 'pan' : 'swipe',
+        startX: e.clientX,
+        startY: e.clientY,
+        originX: this.x,
+        originY: this.y
+      };
+    }
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+      const [a, b] = Array.from(this.pointers.values());
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      this.zoomTo(this.gesture.scale * (distance / this.gesture.distance), (a.x + b.x) / 2, (a.y + b.y) / 2);
+    } else if (this.gesture.type === 'pan') {
+      this.x = this.gesture.originX + (e.clientX - this.gesture.startX);
+      this.y = this.gesture.originY + (e.clientY - this.gesture.startY);
+      this.clampPan();
+    }
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.delete(e.pointerId);
+
+    const dx = this.gesture?.startX !== undefined ? e.clientX - this.gesture.startX : 0;
+    const dy = this.gesture?.startY !== undefined ? e.clientY - this.gesture.startY : 0;
+    this.suppressClick = this.gesture?.type === 'pinch' || Math.hypot(dx, dy) > 5;
+
+    if (this.gesture?.type === 'swipe' && e.type === 'pointerup') {
+      if (Math.abs(dx) > this.options.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+        if (dx < 0) this.next();
+        else this.prev();
+      } else if (dy > this.options.swipeThreshold * 2 && Math.abs(dy) > Math.abs(dx)) {
+        // Swipe down dismisses
+        this.close();
+      }
+    }
+
+    // Remaining finger after a pinch continues as a pan
+    if (this.pointers.size === 1 && this.scale > 1) {
+      const [point] = Array.from(this.pointers.values());
+      this.gesture = { type: 'pan', startX: point.x, startY: point.y, originX: this.x, originY: this.y };
+    } else if (this.pointers.size === 0) {
+      this.gesture = null;
+    }
+  }
+
+  /**
+   * Remove the dialog and all listeners
+   */
+  destroy() {
+    this.close();
+    this.controller.abort();
+    this.overlay?.remove();
+    this.overlay = null;
+  }
+}
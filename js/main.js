@@ -5,11 +5,38 @@
 
 import ThemeSwitcher from './theme-switcher.js';
 import ScrollAnimations from './scroll-animations.js';
+import ProjectCatalog from './project-catalog.js';
+import ProjectFilter from './project-filter.js';
+import Carousel from './carousel.js';
+import Lightbox from './lightbox.js';
+import Fireflies from './fireflies.js';
+import ShootingStars from './shooting-stars.js';
+import ParticleBackground from './particle-background.js';
+import { GlassInteractions } from './glass-interactions.js';
+import GlassLighting from './glass-lighting.js';
+import { Counter, ProgressMeter } from './counters.js';
+import TableOfContents from './table-of-contents.js';
+import NavigationRouter from './navigation-router.js';
+import effectsScheduler from './effects-scheduler.js';
 
 class App {
   constructor() {
     this.themeSwitcher = null;
     this.scrollAnimations = null;
+    this.projectCatalog = null;
+    this.projectFilter = null;
+    this.tableOfContents = null;
+    this.router = null;
+    this.carousels = [];
+    this.counters = [];
+    this.meters = [];
+    this.lightbox = null;
+    this.fireflies = null;
+    this.shootingStars = null;
+    this.particles = null;
+    this.glassInteractions = null;
+    this.glassLighting = null;
+    this.effects = effectsScheduler;
     this.nav = null;
     this.lastScrollY = 0;
     this.ticking = false;
@@ -28,11 +55,19 @@ class App {
   onReady() {
     this.initThemeSwitcher();
     this.initScrollAnimations();
-    this.initSmoothScroll();
+    this.initProjectCatalog();
+    this.initRouter();
     this.initScrollProgress();
     this.initNavigation();
     this.initAccessibility();
     this.initCarousels();
+    this.initCounters();
+    this.initLightbox();
+    this.initGlassInteractions();
+    this.initGlassLighting();
+    this.initFireflies();
+    this.initShootingStars();
+    this.initParticles();
   }
 
   initThemeSwitcher() {
@@ -54,6 +89,41 @@ class App {
     }
   }
 
+  initProjectCatalog() {
+    const needsCatalog = document.querySelector('[data-project-catalog]') || document.body.dataset.project;
+    if (!needsCatalog) return;
+
+    this.projectCatalog = new ProjectCatalog();
+    this.projectCatalog.render()
+      // ScrollAnimations picks up the rendered [data-animate] cards itself
+      .then(() => {
+        this.initProjectFilter();
+        this.initTableOfContents();
+
+        // The page has its full height now (and section ids from the
+        // manifest), so restore the position or follow the deep link again
+        this.router?.handleLocation();
+      })
+      .catch(e => console.error('Project catalog error:', e));
+  }
+
+  initProjectFilter() {
+    const grid = document.querySelector('[data-project-catalog]');
+    if (!grid) return;
+
+    // Cards hidden by the filter were never intersecting, so observe
+    // them again once they are shown
+    grid.addEventListener('filterchange', (e) => {
+      this.scrollAnimations?.observe(e.detail.revealed);
+    });
+
+    try {
+      this.projectFilter = new ProjectFilter(grid);
+    } catch (e) {
+      console.error('Project filter error:', e);
+    }
+  }
+
   initScrollProgress() {
     const progressBar = document.getElementById('scroll-progress');
     if (!progressBar) return;
@@ -142,31 +212,23 @@ class App {
     sections.forEach(section => observer.observe(section));
   }
 
-  initSmoothScroll() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener('click', (e) => {
-        const href = anchor.getAttribute('href');
-        if (href === '#') return;
-
-        const target = document.querySelector(href);
-        if (target) {
-          e.preventDefault();
-
-          // Close mobile nav if open
-          if (this.nav) {
-            this.nav.classList.remove('hidden');
-          }
+  initTableOfContents() {
+    const container = document.querySelector('.project-article .container');
+    if (!container) return;
 
-          target.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-          });
+    try {
+      this.tableOfContents = new TableOfContents(container);
+    } catch (e) {
+      console.error('Table of contents error:', e);
+    }
+  }
 
-          // Update URL
-          history.pushState(null, null, href);
-        }
-      });
-    });
+  initRouter() {
+    try {
+      this.router = new NavigationRouter();
+    } catch (e) {
+      console.error('Navigation router error:', e);
+    }
   }
 
   initAccessibility() {
@@ -201,67 +263,109 @@ class App {
   }
 
   initCarousels() {
-    const carousels = document.querySelectorAll('[data-carousel]');
-
-    carousels.forEach(carousel => {
-      const slides = carousel.querySelectorAll('.carousel-slide');
-      const prevBtn = carousel.querySelector('.carousel-btn-prev');
-      const nextBtn = carousel.querySelector('.carousel-btn-next');
-      const dotsContainer = carousel.querySelector('.carousel-dots');
+    this.carousels = Array.from(document.querySelectorAll('[data-carousel]'))
+      .map(element => {
+        try {
+          return new Carousel(element);
+        } catch (e) {
+          console.error('Carousel error:', e);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
 
-      if (slides.length === 0) return;
+  initGlassInteractions() {
+    // Always set up: the observer also picks up [data-tilt] / [data-glass-morph]
+    // elements rendered later, such as project cards
+    try {
+      this.glassInteractions = new GlassInteractions(document.body);
+    } catch (e) {
+      console.error('Glass interactions error:', e);
+    }
+  }
 
-      let currentIndex = 0;
+  initGlassLighting() {
+    try {
+      this.glassLighting = new GlassLighting({ refraction: true });
+    } catch (e) {
+      console.error('Glass lighting error:', e);
+    }
+  }
 
-      // Create dots
-      slides.forEach((_, index) => {
-        const dot = document.createElement('button');
-        dot.className = `carousel-dot${index === 0 ? ' active' : ''}`;
-        dot.setAttribute('aria-label', `Go to slide ${index + 1}`);
-        dot.addEventListener('click', () => goToSlide(index));
-        dotsContainer.appendChild(dot);
-      });
+  initCounters() {
+    const create = (selector, Component) => Array.from(document.querySelectorAll(selector))
+      .map(element => {
+        try {
+          return new Component(element);
+        } catch (e) {
+          console.error('Counter error:', e);
+          return null;
+        }
+      })
+      .filter(Boolean);
 
-      const dots = dotsContainer.querySelectorAll('.carousel-dot');
+    this.counters = create('[data-count-to]', Counter);
+    this.meters = create('[data-meter]', ProgressMeter);
+  }
 
-      function goToSlide(index) {
-        slides[currentIndex].classList.remove('active');
-        dots[currentIndex].classList.remove('active');
+  initFireflies() {
+    const container = document.querySelector('[data-fireflies]');
+    if (!container) return;
 
-        currentIndex = (index + slides.length) % slides.length;
+    try {
+      this.fireflies = new Fireflies(container);
+    } catch (e) {
+      console.error('Fireflies error:', e);
+    }
+  }
 
-        slides[currentIndex].classList.add('active');
-        dots[currentIndex].classList.add('active');
-      }
+  initShootingStars() {
+    const container = document.querySelector('.shooting-stars');
+    if (!container) return;
 
-      function nextSlide() {
-        goToSlide(currentIndex + 1);
-      }
+    try {
+      this.shootingStars = new ShootingStars(container);
+    } catch (e) {
+      console.error('Shooting stars error:', e);
+    }
+  }
 
-      function prevSlide() {
-        goToSlide(currentIndex - 1);
-      }
+  initParticles() {
+    if (!document.getElementById('particle-canvas')) return;
 
-      prevBtn?.addEventListener('click', prevSlide);
-      nextBtn?.addEventListener('click', nextSlide);
+    try {
+      this.particles = new ParticleBackground('particle-canvas', {
+        particleCount: 50,
+        interaction: 'repel',
+        ripples: true,
+        worker: true
+      });
+    } catch (e) {
+      console.error('Particle background error:', e);
+    }
+  }
 
-      // Touch/swipe support
-      let touchStartX = 0;
-      let touchEndX = 0;
+  /**
+   * Pause or resume every ambient effect (particles, fireflies, shooting stars)
+   * @param {boolean} paused
+   */
+  setEffectsPaused(paused) {
+    if (paused) {
+      this.effects.pauseAll();
+    } else {
+      this.effects.resumeAll();
+    }
+  }
 
-      carousel.addEventListener('touchstart', (e) => {
-        touchStartX = e.changedTouches[0].screenX;
-      }, { passive: true });
+  initLightbox() {
+    if (!document.querySelector('img[data-lightbox]')) return;
 
-      carousel.addEventListener('touchend', (e) => {
-        touchEndX = e.changedTouches[0].screenX;
-        const diff = touchStartX - touchEndX;
-        if (Math.abs(diff) > 50) {
-          if (diff > 0) nextSlide();
-          else prevSlide();
-        }
-      }, { passive: true });
-    });
+    try {
+      this.lightbox = new Lightbox();
+    } catch (e) {
+      console.error('Lightbox error:', e);
+    }
   }
 }
 
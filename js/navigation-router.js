@@ -0,0 +1,318 @@
+/**
+ * Navigation Router
+ * Hash navigation for in-page links: smooth scrolling clear of the
+ * floating nav, back/forward between visited sections, scroll positions
+ * restored when coming back to a page, and focus moved to the target
+ * section so screen readers follow along.
+ *
+ * The nav offset is applied as scroll-padding-top (--nav-offset in main.css),
+ * so the browser's own fragment scrolling and scrollIntoView() both clear it.
+ */
+
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
+export default class NavigationRouter {
+  constructor(options = {}) {
+    this.options = {
+      navSelector: options.navSelector || '.floating-nav',
+      // px, a function returning px, or 'auto' to clear the floating nav
+      offset: options.offset ?? 'auto',
+      gap: options.gap ?? 16, // px between the nav and the target
+      behavior: options.behavior || 'smooth',
+      // "Back" links that return to the page they were opened from
+      returnSelector: options.returnSelector || '.back-link'
+    };
+
+    this.nav = document.querySelector(this.options.navSelector);
+    // Where the page was left, when coming back to it. Read once: saving
+    // while the page is still short would overwrite it with a clamped value
+    this.savedPosition = this.isReturnVisit() ? history.state?.scrollY : undefined;
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.saveTimer = null;
+    this.resizeFrame = null;
+    this.controller = new AbortController();
+
+    this.init();
+  }
+
+  /**
+   * Initialize router
+   */
+  init() {
+    // Positions are restored here, once the content they refer to exists
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+
+    // Count in-page entries from the one this page was opened with
+    if (typeof history.state?.depth !== 'number') {
+      history.replaceState({ ...history.state, depth: 0 }, '');
+    }
+
+    this.updateOffset();
+    this.bindEvents();
+    this.handleLocation({ behavior: 'auto', focus: false });
+  }
+
+  /**
+   * Set up event listeners
+   */
+  bindEvents() {
+    const { signal } = this.controller;
+
+    // Delegated so links added later (e.g. the table of contents) scroll too
+    document.addEventListener('click', (e) => this.handleClick(e), { signal });
+
+    window.addEventListener('popstate', (e) => this.handlePopState(e), { signal });
+
+    // Remember where each history entry was left
+    window.addEventListener('scroll', () => {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout(() => this.savePosition(), 200);
+    }, { passive: true, signal });
+    window.addEventListener('pagehide', () => this.savePosition(), { signal });
+
+    window.addEventListener('resize', () => {
+      if (this.resizeFrame) return;
+      this.resizeFrame = requestAnimationFrame(() => {
+        this.resizeFrame = null;
+        this.updateOffset();
+      });
+    }, { passive: true, signal });
+  }
+
+  /**
+   * Scroll for in-page links; send "Back" links back through the history
+   * @param {MouseEvent} e
+   */
+  handleClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const anchor = e.target.closest('a[href]');
+    if (!anchor || (anchor.target && anchor.target !== '_self')) return;
+
+    if (anchor.matches(this.options.returnSelector) && this.returnsToReferrer(anchor)) {
+      e.preventDefault();
+      history.back();
+      return;
+    }
+
+    const href = anchor.getAttribute('href');
+    if (!href.startsWith('#') || href === '#') return;
+
+    if (this.scrollToHash(href)) {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Whether a link points at the page this one was opened from, so going
+   * back returns to the same place on it. Only from the entry the page was
+   * opened with: after in-page navigation, back would stay on this page.
+   * @param {HTMLAnchorElement} anchor
+   * @returns {boolean}
+   */
+  returnsToReferrer(anchor) {
+    if (!document.referrer || history.length < 2 || history.state?.depth !== 0) return false;
+
+    const referrer = new URL(document.referrer);
+    const target = new URL(anchor.href);
+    return referrer.origin === target.origin
+      && NavigationRouter.pagePath(referrer) === NavigationRouter.pagePath(target)
+      && !target.hash;
+  }
+
+  /**
+   * A URL's path with any index.html dropped, so "/" and "/index.html"
+   * (how the site is linked to vs how its pages link back) match
+   * @param {URL} url
+   * @returns {string}
+   */
+  static pagePath(url) {
+    return url.pathname.replace(/\/index\.html$/, '/');
+  }
+
+  /**
+   * Back/forward: return to the entry's saved position, else its section
+   * @param {PopStateEvent} e
+   */
+  handlePopState(e) {
+    const behavior = this.getBehavior();
+    const saved = e.state?.scrollY;
+
+    // A filter entry not scrolled on yet: ProjectFilter restores it in place
+    if (typeof saved !== 'number' && e.state?.filter) return;
+
+    if (typeof saved === 'number') {
+      this.scrollToPosition(saved, behavior);
+    } else if (!window.location.hash || !this.scrollToHash(window.location.hash, { behavior, updateUrl: false })) {
+      this.scrollToPosition(0, behavior);
+    }
+  }
+
+  /**
+   * Scroll to where the current history entry should be: its saved position
+   * when coming back to the page, else the section in the URL. Call again
+   * once content that changes the page height has rendered.
+   * @param {Object} [options]
+   * @param {ScrollBehavior} [options.behavior='auto']
+   * @param {boolean} [options.focus=false]
+   */
+  handleLocation({ behavior = 'auto', focus = false } = {}) {
+    const saved = this.savedPosition;
+
+    if (typeof saved === 'number') {
+      this.scrollToPosition(saved, behavior);
+    } else if (window.location.hash) {
+      this.scrollToHash(window.location.hash, { behavior, updateUrl: false, focus });
+    }
+  }
+
+  /**
+   * Whether the page was reached with back/forward or reloaded
+   * @returns {boolean}
+   */
+  isReturnVisit() {
+    const [entry] = performance.getEntriesByType?.('navigation') || [];
+    return entry?.type === 'back_forward' || entry?.type === 'reload';
+  }
+
+  /**
+   * Scroll to the element a hash points at
+   * @param {string} hash - e.g. "#features"
+   * @param {Object} [options]
+   * @param {ScrollBehavior} [options.behavior] - Defaults to smooth unless reduced motion is on
+   * @param {boolean} [options.updateUrl=true] - Push the hash onto the history
+   * @param {boolean} [options.focus=true] - Move focus to the target
+   * @returns {boolean} Whether a target was found
+   */
+  scrollToHash(hash, { behavior = this.getBehavior(), updateUrl = true, focus = true } = {}) {
+    const target = this.findTarget(hash);
+    if (!target) return false;
+
+    if (updateUrl && hash !== window.location.hash) {
+      // Keep the position being left so Back returns to it
+      this.savePosition();
+      history.pushState({ hash, depth: (history.state?.depth ?? 0) + 1 }, '', hash);
+    }
+
+    // Bring the nav back in case it was hidden on scroll
+    this.nav?.classList.remove('hidden');
+
+    this.updateOffset();
+    this.withBehavior(behavior, () => target.scrollIntoView({ behavior, block: 'start' }));
+
+    if (focus) {
+      this.focusTarget(target);
+    }
+
+    return true;
+  }
+
+  /**
+   * Element for a hash, if there is one
+   * @param {string} hash
+   * @returns {HTMLElement|null}
+   */
+  findTarget(hash) {
+    try {
+      return document.getElementById(decodeURIComponent(hash.slice(1)));
+    } catch (e) {
+      // Malformed escape, so not one of our anchors
+      return null;
+    }
+  }
+
+  /**
+   * Scroll to a position on the page
+   * @param {number} top - px
+   * @param {ScrollBehavior} behavior
+   */
+  scrollToPosition(top, behavior) {
+    this.withBehavior(behavior, () => window.scrollTo({ top, behavior }));
+  }
+
+  /**
+   * Run a scroll with html { scroll-behavior: smooth } out of the way
+   * when it should be instant
+   * @param {ScrollBehavior} behavior
+   * @param {Function} scroll
+   */
+  withBehavior(behavior, scroll) {
+    if (behavior === 'smooth') {
+      scroll();
+      return;
+    }
+
+    const root = document.documentElement;
+    root.style.scrollBehavior = 'auto';
+    scroll();
+    root.style.removeProperty('scroll-behavior');
+  }
+
+  /**
+   * Smooth unless the user prefers reduced motion
+   * @returns {ScrollBehavior}
+   */
+  getBehavior() {
+    return this.motionQuery.matches ? 'auto' : this.options.behavior;
+  }
+
+  /**
+   * Move focus to a section without scrolling again
+   * @param {HTMLElement} target
+   */
+  focusTarget(target) {
+    if (!target.matches(FOCUSABLE)) {
+      target.setAttribute('tabindex', '-1');
+    }
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Store the scroll position on the current history entry
+   */
+  savePosition() {
+    clearTimeout(this.saveTimer);
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+  }
+
+  /**
+   * Space to leave above a scrolled-to section
+   * @returns {number} px
+   */
+  getOffset() {
+    const { offset, gap } = this.options;
+
+    if (typeof offset === 'number') return offset;
+    if (typeof offset === 'function') return offset();
+
+    // The nav moves to the bottom of the screen on small viewports;
+    // measure without the transform that hides it on scroll
+    if (!this.nav) return 0;
+    const top = this.nav.offsetTop;
+    if (top > window.innerHeight / 2) return 0;
+    return top + this.nav.offsetHeight + gap;
+  }
+
+  /**
+   * Apply the offset as the page's scroll padding
+   */
+  updateOffset() {
+    document.documentElement.style.setProperty('--nav-offset', `${Math.round(this.getOffset())}px`);
+  }
+
+  /**
+   * Remove event listeners
+   */
+  destroy() {
+    this.controller.abort();
+    clearTimeout(this.saveTimer);
+    cancelAnimationFrame(this.resizeFrame);
+    document.documentElement.style.removeProperty('--nav-offset');
+
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'auto';
+    }
+  }
+}
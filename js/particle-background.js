@@ -1,8 +1,16 @@
 /**
  * Particle Background
  * Canvas-based particle system with subtle animations
+ * and pointer interaction (attract, repel, orbit, ripples).
+ * Simulation and drawing live in ParticleField, which runs on the main
+ * thread or, with the worker option, on an OffscreenCanvas in a worker.
  */
 
+import { getActiveTheme } from './themes.js';
+import effectsScheduler from './effects-scheduler.js';
+import ParticleField from './particle-field.js';
+import { getPreset } from './particle-presets.js';
+
 export default class ParticleBackground {
   constructor(canvasId, options = {}) {
     this.canvas = document.getElementById(canvasId);
@@ -12,8 +20,15 @@ export default class ParticleBackground {
       return;
     }
 
-    this.ctx = this.canvas.getContext('2d');
-    this.particles = [];
+    this.field = null;
+    this.worker = null;
+    this.pendingWorker = null; // started, canvas not yet transferred
+    this.theme = getActiveTheme();
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.controller = new AbortController();
+
+    // Biomedical preset from the option or the canvas's data-particles-preset
+    const preset = getPreset(options.preset ?? this.canvas.dataset.particlesPreset);
 
     // Configuration options - BME-inspired colors
     this.options = {
@@ -35,12 +50,37 @@ export default class ParticleBackground {
         '56, 189, 248'    // Sky blue
       ],
       fps: options.fps || 30,
-      ...options
+      // Pointer interaction: 'none', 'attract', 'repel' or 'orbit'
+      interaction: 'none',
+      interactionRadius: 150,
+      interactionStrength: 0.6,
+      // Click/tap ripples that push particles outward
+      ripples: false,
+      rippleStrength: 4,
+      rippleSpeed: 6,
+      rippleRadius: 280,
+      // Spawn particles at the pointer: false, 'click' or 'move'
+      spawn: false,
+      spawnCount: 3,
+      maxParticles: 200,
+      friction: 0.92,
+      // Lines between nearby particles
+      connectParticles: false,
+      connectionDistance: 150,
+      connectionOpacity: 0.2,
+      // Blit pre-rendered glows instead of building gradients every frame
+      sprites: true,
+      // Simulate and draw in a Web Worker when OffscreenCanvas is available
+      worker: false,
+      ...preset?.options,
+      ...options,
+      // 'cells', 'dna', 'bloodflow', 'neurons' or null (see particle-presets.js)
+      preset: preset?.name ?? null
     };
 
-    this.fpsInterval = 1000 / this.options.fps;
-    this.then = Date.now();
-    this.animationId = null;
+    this.unregisterFrame = null;
+    this.resizeObserver = null;
+    this.resizeTimer = null;
 
     this.init();
   }
@@ -49,187 +89,293 @@ export default class ParticleBackground {
    * Initialize the particle system
    */
   init() {
-    this.resize();
-    window.addEventListener('resize', this.resize.bind(this));
+    const { signal } = this.controller;
+
+    if (this.options.worker && ParticleBackground.supportsWorker(this.canvas)) {
+      this.startWorker();
+    } else {
+      this.startField();
+    }
+
+    this.observeSize();
+    this.watchPixelRatio();
 
     // Listen for theme changes to update particle color
-    window.addEventListener('themechange', this.handleThemeChange.bind(this));
+    window.addEventListener('themechange', (e) => this.handleThemeChange(e), { signal });
+
+    this.bindPointerEvents();
+
+    // Show a still frame while reduced motion keeps the loop stopped
+    this.motionQuery.addEventListener('change', () => {
+      this.send('interactive', { interactive: this.isInteractive() });
+      this.send('frame');
+    }, { signal });
 
-    this.createParticles();
     this.animate();
+  }
 
-    console.log(`Particle background initialized: ${this.particles.length} particles`);
+  /**
+   * Whether the canvas can be handed to a worker
+   * @param {HTMLCanvasElement} canvas
+   * @returns {boolean}
+   */
+  static supportsWorker(canvas) {
+    return typeof Worker !== 'undefined'
+      && typeof OffscreenCanvas !== 'undefined'
+      && typeof canvas.transferControlToOffscreen === 'function';
   }
 
   /**
-   * Handle canvas resize
+   * The field's init message, from the current state
+   * @returns {Object}
    */
-  resize() {
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+  getSetup() {
+    return {
+      type: 'init',
+      options: this.getFieldOptions(),
+      theme: this.getThemeData(),
+      interactive: this.isInteractive(),
+      ...this.getSize()
+    };
+  }
 
-    // Recreate particles if canvas was resized
-    if (this.particles.length > 0) {
-      this.createParticles();
+  /**
+   * Run ParticleField on this thread
+   */
+  startField() {
+    const setup = this.getSetup();
+    this.field = new ParticleField(this.canvas.getContext('2d'), setup.options);
+    this.field.handle(setup);
+  }
+
+  /**
+   * Start a worker running ParticleField and transfer the canvas once it
+   * reports ready. A transferred canvas can't be drawn from this thread
+   * again, so a worker that fails to load (e.g. no module worker support)
+   * falls back to startField() instead.
+   */
+  startWorker() {
+    let worker;
+    try {
+      worker = new Worker(new URL('./particle-worker.js', import.meta.url), { type: 'module' });
+    } catch (e) {
+      console.error('Particle worker error:', e.message);
+      this.startField();
+      return;
     }
+
+    this.pendingWorker = worker;
+
+    worker.addEventListener('message', (e) => {
+      if (e.data?.type !== 'ready' || this.pendingWorker !== worker) return;
+
+      this.pendingWorker = null;
+      this.worker = worker;
+
+      // Commands sent while the worker loaded were dropped; the setup
+      // carries the state they would have changed
+      const canvas = this.canvas.transferControlToOffscreen();
+      worker.postMessage({ ...this.getSetup(), canvas }, [canvas]);
+      this.repaintIfStopped();
+    });
+
+    worker.addEventListener('error', (e) => {
+      console.error('Particle worker error:', e.message);
+
+      if (this.pendingWorker === worker) {
+        this.pendingWorker = null;
+        worker.terminate();
+        this.startField();
+        this.repaintIfStopped();
+      }
+    });
   }
 
   /**
-   * Create particles with multiple colors
+   * Send a command to the field, in the worker or on this thread
+   * @param {string} type
+   * @param {Object} [data]
    */
-  createParticles() {
-    this.particles = [];
-    const colors = this.options.colors;
-
-    for (let i = 0; i < this.options.particleCount; i++) {
-      this.particles.push({
-        x: Math.random() * this.canvas.width,
-        y: Math.random() * this.canvas.height,
-        size: Math.random() * (this.options.particleSize.max - this.options.particleSize.min)
-              + this.options.particleSize.min,
-        speedX: (Math.random() * (this.options.speed.max - this.options.speed.min)
-                + this.options.speed.min),
-        speedY: (Math.random() * (this.options.speed.max - this.options.speed.min)
-                + this.options.speed.min),
-        opacity: Math.random() * (this.options.opacity.max - this.options.opacity.min)
-                + this.options.opacity.min,
-        colorIndex: Math.floor(Math.random() * colors.length),
-        pulseOffset: Math.random() * Math.PI * 2 // For subtle pulsing effect
-      });
+  send(type, data = {}) {
+    const message = { type, ...data };
+
+    if (this.worker) {
+      this.worker.postMessage(message);
+    } else if (this.field) {
+      this.field.handle(message);
     }
   }
 
   /**
-   * Animation loop (throttled to target FPS)
+   * Options the field needs (everything but the rendering mode)
+   * @returns {Object}
    */
-  animate() {
-    this.animationId = requestAnimationFrame(this.animate.bind(this));
+  getFieldOptions() {
+    const { worker, ...options } = this.options;
+    return options;
+  }
+
+  /**
+   * Theme data for the field; descriptors are reduced to what it reads
+   * @returns {{scheme: string, particleColors?: string[]}}
+   */
+  getThemeData() {
+    const { scheme, particleColors } = this.theme;
+    return { scheme, particleColors };
+  }
 
-    const now = Date.now();
-    const elapsed = now - this.then;
+  /**
+   * Canvas size in CSS pixels and the device pixel ratio
+   * @returns {{width: number, height: number, dpr: number}}
+   */
+  getSize() {
+    return {
+      width: this.canvas.clientWidth || window.innerWidth,
+      height: this.canvas.clientHeight || window.innerHeight,
+      // Capped so huge backing stores don't cost more than they show
+      dpr: Math.min(window.devicePixelRatio || 1, 2)
+    };
+  }
+
+  /**
+   * Resize once the canvas has settled on a new size. Debounced so
+   * resize drags and mobile URL-bar show/hide don't resize every frame;
+   * CSS stretches the canvas in the meantime.
+   */
+  observeSize() {
+    const schedule = () => {
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = setTimeout(() => this.resize(), 150);
+    };
 
-    if (elapsed > this.fpsInterval) {
-      this.then = now - (elapsed % this.fpsInterval);
-      this.draw();
+    if ('ResizeObserver' in window) {
+      this.resizeObserver = new ResizeObserver(schedule);
+      this.resizeObserver.observe(this.canvas);
+    } else {
+      window.addEventListener('resize', schedule, { signal: this.controller.signal });
     }
   }
 
   /**
-   * Draw frame
+   * Resize when the pixel ratio changes without a window resize,
+   * e.g. when the window moves to a screen with different density
    */
-  draw() {
-    // Clear canvas - let CSS background show through
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
 
-    // Update time for animations
-    this.time = (this.time || 0) + 0.01;
+    query.addEventListener('change', () => {
+      this.resize();
+      this.watchPixelRatio();
+    }, { once: true, signal: this.controller.signal });
+  }
 
-    // Update and draw particles
-    this.particles.forEach(particle => {
-      this.updateParticle(particle);
-      this.drawParticle(particle);
-    });
+  /**
+   * Track the pointer over the page. The canvas itself sits behind the
+   * content with pointer-events: none, so listen on the window.
+   */
+  bindPointerEvents() {
+    const { signal } = this.controller;
+    const passive = { passive: true, signal };
+
+    window.addEventListener('pointermove', (e) => {
+      this.sendPointer('pointermove', e.clientX, e.clientY);
+    }, passive);
+
+    window.addEventListener('pointerdown', (e) => {
+      this.sendPointer('pointerdown', e.clientX, e.clientY);
+    }, passive);
+
+    // Touch scrolling cancels pointer events, so follow touches directly
+    window.addEventListener('touchmove', (e) => {
+      const touch = e.touches[0];
+      if (touch) this.sendPointer('pointermove', touch.clientX, touch.clientY);
+    }, passive);
+
+    const release = (e) => {
+      // Mice keep hovering after a click; touches and pens lift off
+      if (e.type === 'pointerup' && e.pointerType === 'mouse') return;
+      this.send('pointerup');
+    };
 
-    // Optional: Draw connections between nearby particles
-    if (this.options.connectParticles) {
-      this.drawConnections();
-    }
+    window.addEventListener('pointerup', release, passive);
+    window.addEventListener('pointercancel', release, passive);
+    window.addEventListener('touchend', release, passive);
+    document.documentElement.addEventListener('pointerleave', release, passive);
   }
 
   /**
-   * Update particle position
-   * @param {Object} particle
+   * Forward a pointer position in canvas coordinates
+   * @param {string} type
+   * @param {number} clientX
+   * @param {number} clientY
    */
-  updateParticle(particle) {
-    particle.x += particle.speedX;
-    particle.y += particle.speedY;
-
-    // Wrap around edges
-    if (particle.x < 0) particle.x = this.canvas.width;
-    if (particle.x > this.canvas.width) particle.x = 0;
-    if (particle.y < 0) particle.y = this.canvas.height;
-    if (particle.y > this.canvas.height) particle.y = 0;
+  sendPointer(type, clientX, clientY) {
+    if (!this.isInteractive()) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    this.send(type, { x: clientX - rect.left, y: clientY - rect.top });
   }
 
   /**
-   * Draw a single particle with multi-color and subtle pulsing
-   * @param {Object} particle
+   * Whether pointer interaction is allowed (never under reduced motion)
+   * @returns {boolean}
    */
-  drawParticle(particle) {
-    // Get current theme colors
-    const theme = document.documentElement.getAttribute('data-theme');
-    const colors = theme === 'dark' ? this.options.darkColors : this.options.colors;
-    const color = colors[particle.colorIndex];
-
-    // Add subtle pulsing to opacity
-    const pulse = Math.sin(this.time * 2 + particle.pulseOffset) * 0.1;
-    const opacity = Math.max(0.1, Math.min(0.5, particle.opacity + pulse));
-
-    // Draw glow effect
-    const gradient = this.ctx.createRadialGradient(
-      particle.x, particle.y, 0,
-      particle.x, particle.y, particle.size * 3
-    );
-    gradient.addColorStop(0, `rgba(${color}, ${opacity})`);
-    gradient.addColorStop(0.5, `rgba(${color}, ${opacity * 0.3})`);
-    gradient.addColorStop(1, `rgba(${color}, 0)`);
-
-    this.ctx.beginPath();
-    this.ctx.arc(particle.x, particle.y, particle.size * 3, 0, Math.PI * 2);
-    this.ctx.fillStyle = gradient;
-    this.ctx.fill();
-
-    // Draw core particle
-    this.ctx.beginPath();
-    this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-    this.ctx.fillStyle = `rgba(${color}, ${opacity * 1.5})`;
-    this.ctx.fill();
+  isInteractive() {
+    return !this.motionQuery.matches;
   }
 
   /**
-   * Draw connections between nearby particles (optional)
+   * Handle canvas resize
    */
-  drawConnections() {
-    const maxDistance = 150;
-
-    for (let i = 0; i < this.particles.length; i++) {
-      for (let j = i + 1; j < this.particles.length; j++) {
-        const dx = this.particles[i].x - this.particles[j].x;
-        const dy = this.particles[i].y - this.particles[j].y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        if (distance < maxDistance) {
-          const opacity = (1 - distance / maxDistance) * 0.2;
-
-          this.ctx.beginPath();
-          this.ctx.strokeStyle = `rgba(${this.options.color}, ${opacity})`;
-          this.ctx.lineWidth = 1;
-          this.ctx.moveTo(this.particles[i].x, this.particles[i].y);
-          this.ctx.lineTo(this.particles[j].x, this.particles[j].y);
-          this.ctx.stroke();
-        }
-      }
+  resize() {
+    this.send('resize', this.getSize());
+
+    // Resizing clears the canvas; repaint if the loop is stopped
+    if (!effectsScheduler.isRunning(this)) {
+      this.send('frame');
     }
   }
 
+  /**
+   * Draw a frame if the loop is stopped (e.g. reduced motion)
+   */
+  repaintIfStopped() {
+    if (!effectsScheduler.isRunning(this)) {
+      this.send('frame');
+    }
+  }
+
+  /**
+   * Start drawing on the shared effects loop (throttled to target FPS)
+   */
+  animate() {
+    this.unregisterFrame = effectsScheduler.register(this, () => this.send('frame'), {
+      fps: this.options.fps
+    });
+  }
+
   /**
    * Handle theme change event
-   * Colors are now handled dynamically in drawParticle
+   * Colors are picked from the theme in the field's drawParticle
    * @param {CustomEvent} event
    */
   handleThemeChange(event) {
-    // Theme colors are handled dynamically in drawParticle
-    // No need to update options here
-    console.log(`Theme changed to: ${event.detail.theme}`);
+    this.theme = event.detail.descriptor || getActiveTheme();
+    this.send('theme', { theme: this.getThemeData() });
+
+    // Repaint now in case the loop is stopped (e.g. reduced motion)
+    if (!effectsScheduler.isRunning(this)) {
+      this.send('frame');
+    }
   }
 
   /**
    * Pause animation
    */
   pause() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+    if (this.unregisterFrame) {
+      this.unregisterFrame();
+      this.unregisterFrame = null;
     }
   }
 
@@ -237,8 +383,7 @@ export default class ParticleBackground {
    * Resume animation
    */
   resume() {
-    if (!this.animationId) {
-      this.then = Date.now();
+    if (!this.unregisterFrame) {
       this.animate();
     }
   }
@@ -248,14 +393,16 @@ export default class ParticleBackground {
    */
   destroy() {
     this.pause();
-    window.removeEventListener('resize', this.resize.bind(this));
-    window.removeEventListener('themechange', this.handleThemeChange.bind(this));
-    this.particles = [];
-
-    // Clear canvas
-    if (this.ctx) {
-      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
+    this.controller.abort();
+    this.resizeObserver?.disconnect();
+    clearTimeout(this.resizeTimer);
+
+    // Clear canvas; the worker closes itself once it has done so
+    this.send('destroy');
+    this.pendingWorker?.terminate();
+    this.pendingWorker = null;
+    this.worker = null;
+    this.field = null;
   }
 
   /**
@@ -263,10 +410,21 @@ export default class ParticleBackground {
    * @param {Object} options
    */
   updateOptions(options) {
+    // A new preset brings its own option defaults, which explicit options override
+    if ('preset' in options) {
+      const preset = getPreset(options.preset);
+      options = { ...preset?.options, ...options, preset: preset?.name ?? null };
+    }
+
     this.options = { ...this.options, ...options };
 
-    if (options.particleCount) {
-      this.createParticles();
+    // The rendering mode is fixed once the canvas has been transferred
+    const { worker, ...fieldOptions } = options;
+    this.send('options', { options: fieldOptions });
+
+    if (options.fps && this.unregisterFrame) {
+      this.pause();
+      this.resume();
     }
   }
 }
@@ -0,0 +1,639 @@
+/**
+ * Particle Field
+ * Particle simulation and drawing for ParticleBackground, kept free of
+ * DOM access so it can run on the main thread or in a worker
+ * (see particle-worker.js). Commands arrive as messages through handle().
+ */
+
+import { getPreset } from './particle-presets.js';
+
+// Connection lines are grouped into this many opacity steps per colour
+const OPACITY_LEVELS = 4;
+
+// Grid cells after the current one (right, and the row below)
+const NEIGHBOURS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+export default class ParticleField {
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {Object} options - ParticleBackground options
+   */
+  constructor(ctx, options) {
+    this.ctx = ctx;
+    this.options = options;
+    this.width = 0;
+    this.height = 0;
+    this.dpr = 1;
+    // Particles per square CSS pixel, fixed when the field is (re)created
+    this.density = 0;
+    this.sprites = new Map();
+    this.particles = [];
+    this.ripples = [];
+    this.pointer = { x: 0, y: 0, active: false };
+    this.theme = { scheme: 'light' };
+    this.interactive = true;
+    this.time = 0;
+    // Preset behaviour (see particle-presets.js) and its working state
+    this.preset = getPreset(options.preset);
+    this.presetState = {};
+  }
+
+  /**
+   * Run a command from ParticleBackground
+   * @param {Object} message - { type, ...data }
+   */
+  handle(message) {
+    switch (message.type) {
+      case 'init':
+        this.theme = message.theme;
+        this.interactive = message.interactive;
+        this.resize(message.width, message.height, message.dpr);
+        this.createParticles();
+        this.draw();
+        break;
+      case 'frame':
+        this.draw();
+        break;
+      case 'resize':
+        this.resize(message.width, message.height, message.dpr);
+        break;
+      case 'theme':
+        this.theme = message.theme;
+        this.sprites.clear();
+        break;
+      case 'interactive':
+        this.interactive = message.interactive;
+        if (!this.interactive) {
+          this.pointer.active = false;
+          this.ripples = [];
+        }
+        break;
+      case 'pointermove':
+        this.movePointer(message.x, message.y);
+        break;
+      case 'pointerdown':
+        this.movePointer(message.x, message.y);
+        this.press(message.x, message.y);
+        break;
+      case 'pointerup':
+        this.pointer.active = false;
+        break;
+      case 'options':
+        this.setOptions(message.options);
+        break;
+      case 'clear':
+      case 'destroy':
+        this.particles = [];
+        this.ripples = [];
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Resize the canvas. Drawing happens in CSS pixels; the backing store
+   * is scaled by the device pixel ratio so particles stay sharp.
+   * @param {number} width - CSS pixels
+   * @param {number} height - CSS pixels
+   * @param {number} [dpr=1]
+   */
+  resize(width, height, dpr = 1) {
+    if (width === this.width && height === this.height && dpr === this.dpr) return;
+
+    if (dpr !== this.dpr) {
+      this.sprites.clear();
+    }
+
+    const previous = { width: this.width, height: this.height };
+    this.width = width;
+    this.height = height;
+    this.dpr = dpr;
+    this.ctx.canvas.width = Math.round(width * dpr);
+    this.ctx.canvas.height = Math.round(height * dpr);
+    // Resizing the canvas resets its transform
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    // Keep the existing field rather than regenerating it
+    if (this.particles.length > 0 && previous.width && previous.height) {
+      this.rescaleParticles(width / previous.width, height / previous.height);
+    }
+  }
+
+  /**
+   * Move particles proportionally to the new size, then add or remove
+   * drifting (non-spawned) particles to keep the density constant
+   * @param {number} scaleX
+   * @param {number} scaleY
+   */
+  rescaleParticles(scaleX, scaleY) {
+    this.particles.forEach(particle => {
+      particle.x *= scaleX;
+      particle.y *= scaleY;
+    });
+
+    this.ripples.forEach(ripple => {
+      ripple.x *= scaleX;
+      ripple.y *= scaleY;
+    });
+
+    const drifting = this.particles.filter(particle => !particle.spawned).length;
+    const target = Math.min(
+      Math.max(this.options.maxParticles, this.options.particleCount),
+      Math.round(this.density * this.width * this.height)
+    );
+
+    for (let i = drifting; i < target; i++) {
+      this.particles.push(this.createParticle(Math.random() * this.width, Math.random() * this.height));
+    }
+
+    // Remove the most recently added drifting particles first
+    let excess = drifting - target;
+    for (let i = this.particles.length - 1; i >= 0 && excess > 0; i--) {
+      if (!this.particles[i].spawned) {
+        this.particles.splice(i, 1);
+        excess--;
+      }
+    }
+  }
+
+  /**
+   * Follow the pointer, spawning particles behind it if enabled
+   * @param {number} x
+   * @param {number} y
+   */
+  movePointer(x, y) {
+    this.pointer.x = x;
+    this.pointer.y = y;
+    this.pointer.active = this.interactive;
+
+    if (this.options.spawn === 'move' && Math.random() < 0.3) {
+      this.spawnParticles(x, y, 1);
+    }
+  }
+
+  /**
+   * Click/tap: start a ripple and optionally spawn particles
+   * @param {number} x
+   * @param {number} y
+   */
+  press(x, y) {
+    if (!this.interactive) return;
+
+    if (this.options.ripples) {
+      this.ripples.push({ x, y, radius: 0 });
+    }
+
+    if (this.options.spawn === 'click') {
+      this.spawnParticles(x, y, this.options.spawnCount);
+    }
+  }
+
+  /**
+   * Merge in new options
+   * @param {Object} options
+   */
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+
+    if (options.colors || options.darkColors) {
+      this.sprites.clear();
+    }
+
+    if ('preset' in options) {
+      this.preset = getPreset(options.preset);
+    }
+
+    if (options.particleCount || 'preset' in options) {
+      this.createParticles();
+    }
+
+    if (options.interaction === 'none') {
+      this.pointer.active = false;
+    }
+
+    if (options.ripples === false) {
+      this.ripples = [];
+    }
+  }
+
+  /**
+   * Create a single particle
+   * @param {number} x
+   * @param {number} y
+   * @returns {Object}
+   */
+  createParticle(x, y) {
+    const { particleSize, speed, opacity } = this.options;
+    const colors = this.options.colors;
+
+    const particle = {
+      x,
+      y,
+      size: Math.random() * (particleSize.max - particleSize.min) + particleSize.min,
+      speedX: (Math.random() * (speed.max - speed.min) + speed.min),
+      speedY: (Math.random() * (speed.max - speed.min) + speed.min),
+      // Velocity from pointer forces and ripples, decays with friction
+      vx: 0,
+      vy: 0,
+      opacity: Math.random() * (opacity.max - opacity.min) + opacity.min,
+      colorIndex: Math.floor(Math.random() * colors.length),
+      pulseOffset: Math.random() * Math.PI * 2 // For subtle pulsing effect
+    };
+
+    this.preset?.initParticle?.(this, particle);
+    return particle;
+  }
+
+  /**
+   * Create particles with multiple colors
+   */
+  createParticles() {
+    this.particles = [];
+    this.presetState = {};
+    this.density = this.options.particleCount / Math.max(1, this.width * this.height);
+
+    for (let i = 0; i < this.options.particleCount; i++) {
+      this.particles.push(this.createParticle(
+        Math.random() * this.width,
+        Math.random() * this.height
+      ));
+    }
+
+    this.preset?.setup?.(this);
+  }
+
+  /**
+   * Add particles at a point, dropping the oldest extras past maxParticles
+   * @param {number} x
+   * @param {number} y
+   * @param {number} count
+   */
+  spawnParticles(x, y, count) {
+    if (!this.interactive) return;
+
+    for (let i = 0; i < count; i++) {
+      const particle = this.createParticle(x, y);
+      const angle = Math.random() * Math.PI * 2;
+      particle.vx = Math.cos(angle) * 2;
+      particle.vy = Math.sin(angle) * 2;
+      particle.spawned = true;
+      this.particles.push(particle);
+    }
+
+    let excess = this.particles.length - Math.max(this.options.maxParticles, this.options.particleCount);
+    for (let i = 0; i < this.particles.length && excess > 0; i++) {
+      if (this.particles[i].spawned) {
+        this.particles.splice(i, 1);
+        excess--;
+        i--;
+      }
+    }
+  }
+
+  /**
+   * Draw frame
+   */
+  draw() {
+    // Clear canvas - let CSS background show through
+    this.ctx.clearRect(0, 0, this.width, this.height);
+
+    // Update time for animations
+    this.time = (this.time || 0) + 0.01;
+
+    this.updateRipples();
+
+    // Preset-wide behaviour, e.g. cells dividing or neurons firing
+    this.preset?.step?.(this);
+
+    // Update and draw particles
+    this.particles.forEach(particle => {
+      this.updateParticle(particle);
+      this.drawParticle(particle);
+    });
+
+    // Optional: Draw connections between nearby particles
+    if (this.options.connectParticles) {
+      this.drawConnections();
+    }
+
+    this.preset?.drawOverlay?.(this);
+  }
+
+  /**
+   * Grow ripples and drop the ones that have faded out
+   */
+  updateRipples() {
+    this.ripples.forEach(ripple => {
+      ripple.radius += this.options.rippleSpeed;
+    });
+    this.ripples = this.ripples.filter(ripple => ripple.radius < this.options.rippleRadius);
+  }
+
+  /**
+   * Update particle position
+   * @param {Object} particle
+   */
+  updateParticle(particle) {
+    if (this.pointer.active && this.options.interaction !== 'none') {
+      this.applyPointerForce(particle);
+    }
+
+    if (this.ripples.length) {
+      this.applyRippleForce(particle);
+    }
+
+    particle.vx *= this.options.friction;
+    particle.vy *= this.options.friction;
+
+    // Presets may replace the straight-line drift with their own motion
+    if (this.preset?.move) {
+      this.preset.move(this, particle);
+    } else {
+      particle.x += particle.speedX;
+      particle.y += particle.speedY;
+    }
+
+    particle.x += particle.vx;
+    particle.y += particle.vy;
+
+    // Wrap around edges
+    if (particle.x < 0) particle.x = this.width;
+    if (particle.x > this.width) particle.x = 0;
+    if (particle.y < 0) particle.y = this.height;
+    if (particle.y > this.height) particle.y = 0;
+  }
+
+  /**
+   * Pull, push or swirl a particle around the pointer
+   * @param {Object} particle
+   */
+  applyPointerForce(particle) {
+    const { interaction, interactionRadius, interactionStrength } = this.options;
+    const dx = this.pointer.x - particle.x;
+    const dy = this.pointer.y - particle.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance === 0 || distance > interactionRadius) return;
+
+    // Stronger closer to the pointer
+    const force = (1 - distance / interactionRadius) * interactionStrength;
+    const nx = dx / distance;
+    const ny = dy / distance;
+
+    switch (interaction) {
+      case 'attract':
+        particle.vx += nx * force;
+        particle.vy += ny * force;
+        break;
+      case 'repel':
+        particle.vx -= nx * force;
+        particle.vy -= ny * force;
+        break;
+      case 'orbit':
+        // Mostly tangential, with a slight pull to keep the orbit closed
+        particle.vx += (-ny + nx * 0.3) * force;
+        particle.vy += (nx + ny * 0.3) * force;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Push a particle outward when a ripple's wavefront passes it
+   * @param {Object} particle
+   */
+  applyRippleForce(particle) {
+    const { rippleStrength, rippleRadius } = this.options;
+    const band = 30;
+
+    this.ripples.forEach(ripple => {
+      const dx = particle.x - ripple.x;
+      const dy = particle.y - ripple.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance === 0 || Math.abs(distance - ripple.radius) > band) return;
+
+      // Weaker as the ripple spreads out
+      const force = rippleStrength * (1 - ripple.radius / rippleRadius) * 0.1;
+      particle.vx += (dx / distance) * force;
+      particle.vy += (dy / distance) * force;
+    });
+  }
+
+  /**
+   * Draw a single particle with multi-color and subtle pulsing
+   * @param {Object} particle
+   */
+  drawParticle(particle) {
+    // Get current theme colors
+    const colors = this.getPalette();
+    const color = colors[particle.colorIndex % colors.length];
+
+    // Add subtle pulsing to opacity
+    const pulse = Math.sin(this.time * 2 + particle.pulseOffset) * 0.1;
+    const opacity = Math.max(0.1, Math.min(0.5, particle.opacity + pulse));
+
+    if (this.preset?.drawParticle) {
+      this.preset.drawParticle(this, particle, color, opacity);
+    } else {
+      this.drawGlow(particle.x, particle.y, particle.size, color, opacity);
+    }
+  }
+
+  /**
+   * Draw a glowing dot: a soft halo three times the core's radius
+   * @param {number} x
+   * @param {number} y
+   * @param {number} size - Core radius
+   * @param {string} color - "r, g, b"
+   * @param {number} opacity - Halo opacity; the core is 1.5x this
+   */
+  drawGlow(x, y, size, color, opacity) {
+    if (this.options.sprites) {
+      // Sprites are drawn at full strength; the core is 1.5x the glow
+      const radius = size * 3;
+      this.ctx.globalAlpha = Math.min(1, opacity * 1.5);
+      this.ctx.drawImage(this.getSprite(color, size), x - radius, y - radius, radius * 2, radius * 2);
+      this.ctx.globalAlpha = 1;
+      return;
+    }
+
+    // Draw glow effect
+    const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, size * 3);
+    gradient.addColorStop(0, `rgba(${color}, ${opacity})`);
+    gradient.addColorStop(0.5, `rgba(${color}, ${opacity * 0.3})`);
+    gradient.addColorStop(1, `rgba(${color}, 0)`);
+
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, size * 3, 0, Math.PI * 2);
+    this.ctx.fillStyle = gradient;
+    this.ctx.fill();
+
+    // Draw core particle
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, size, 0, Math.PI * 2);
+    this.ctx.fillStyle = `rgba(${color}, ${opacity * 1.5})`;
+    this.ctx.fill();
+  }
+
+  /**
+   * Pre-rendered glow and core for a colour and size, cached per
+   * half-pixel size step at the current device pixel ratio
+   * @param {string} color - "r, g, b"
+   * @param {number} size - Core radius in CSS pixels
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  getSprite(color, size) {
+    const step = Math.max(0.5, Math.round(size * 2) / 2);
+    const key = `${color}|${step}`;
+
+    let sprite = this.sprites.get(key);
+    if (sprite) return sprite;
+
+    const radius = step * 3;
+    const pixels = Math.ceil(radius * 2 * this.dpr);
+    sprite = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(pixels, pixels)
+      : Object.assign(document.createElement('canvas'), { width: pixels, height: pixels });
+
+    const ctx = sprite.getContext('2d');
+    const center = pixels / 2;
+    const scale = pixels / (radius * 2);
+
+    // Glow at 2/3 strength so that, scaled by 1.5x opacity, it matches the gradient path
+    const gradient = ctx.createRadialGradient(center, center, 0, center, center, center);
+    gradient.addColorStop(0, `rgba(${color}, 0.667)`);
+    gradient.addColorStop(0.5, `rgba(${color}, 0.2)`);
+    gradient.addColorStop(1, `rgba(${color}, 0)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, pixels, pixels);
+
+    ctx.beginPath();
+    ctx.arc(center, center, step * scale, 0, Math.PI * 2);
+    ctx.fillStyle = `rgb(${color})`;
+    ctx.fill();
+
+    this.sprites.set(key, sprite);
+    return sprite;
+  }
+
+  /**
+   * Colors for the current theme: the theme's own particle palette,
+   * otherwise the light or dark default for its scheme
+   * @returns {string[]}
+   */
+  getPalette() {
+    if (this.theme.particleColors) return this.theme.particleColors;
+    return this.theme.scheme === 'dark' ? this.options.darkColors : this.options.colors;
+  }
+
+  /**
+   * Draw connections between nearby particles (optional).
+   * Lines are batched by colour and opacity level so each batch is a
+   * single stroke.
+   */
+  drawConnections() {
+    const { connectionDistance: maxDistance, connectionOpacity } = this.options;
+    const colors = this.getPalette();
+    const batches = Array.from({ length: colors.length * OPACITY_LEVELS }, () => []);
+
+    this.forEachPair(maxDistance, (a, b, distanceSq) => {
+      const strength = 1 - Math.sqrt(distanceSq) / maxDistance;
+      const level = Math.min(OPACITY_LEVELS - 1, Math.floor(strength * OPACITY_LEVELS));
+      const colorIndex = a.colorIndex % colors.length;
+      batches[colorIndex * OPACITY_LEVELS + level].push(a.x, a.y, b.x, b.y);
+    });
+
+    this.ctx.lineWidth = 1;
+
+    batches.forEach((lines, index) => {
+      if (!lines.length) return;
+
+      const color = colors[Math.floor(index / OPACITY_LEVELS)];
+      const level = index % OPACITY_LEVELS;
+      const opacity = ((level + 0.5) / OPACITY_LEVELS) * connectionOpacity;
+
+      this.ctx.beginPath();
+      for (let i = 0; i < lines.length; i += 4) {
+        this.ctx.moveTo(lines[i], lines[i + 1]);
+        this.ctx.lineTo(lines[i + 2], lines[i + 3]);
+      }
+      this.ctx.strokeStyle = `rgba(${color}, ${opacity.toFixed(3)})`;
+      this.ctx.stroke();
+    });
+  }
+
+  /**
+   * Call back for every pair of particles closer than maxDistance.
+   * Particles are bucketed into a grid of maxDistance-sized cells so each
+   * one is only compared with its neighbours.
+   * @param {number} maxDistance
+   * @param {Function} callback - Called with (a, b, distanceSq)
+   */
+  forEachPair(maxDistance, callback) {
+    const maxDistanceSq = maxDistance * maxDistance;
+    const grid = this.buildGrid(maxDistance);
+
+    const check = (a, b) => {
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distanceSq = dx * dx + dy * dy;
+      if (distanceSq < maxDistanceSq) {
+        callback(a, b, distanceSq);
+      }
+    };
+
+    grid.cells.forEach((cell, key) => {
+      const cx = key % grid.cols;
+      const cy = (key - cx) / grid.cols;
+
+      // Pairs within the cell
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) {
+          check(cell[i], cell[j]);
+        }
+      }
+
+      // Half of the surrounding cells, so each pair of cells is visited once
+      NEIGHBOURS.forEach(([ox, oy]) => {
+        const nx = cx + ox;
+        const ny = cy + oy;
+        if (nx < 0 || nx >= grid.cols || ny < 0) return;
+
+        const neighbour = grid.cells.get(ny * grid.cols + nx);
+        if (!neighbour) return;
+
+        cell.forEach(a => neighbour.forEach(b => check(a, b)));
+      });
+    });
+  }
+
+  /**
+   * Bucket particles into a uniform grid
+   * @param {number} cellSize
+   * @returns {{cols: number, cells: Map<number, Object[]>}}
+   */
+  buildGrid(cellSize) {
+    const cols = Math.max(1, Math.ceil(this.width / cellSize));
+    const rows = Math.max(1, Math.ceil(this.height / cellSize));
+    const cells = new Map();
+
+    this.particles.forEach(particle => {
+      const cx = Math.min(cols - 1, Math.max(0, Math.floor(particle.x / cellSize)));
+      const cy = Math.min(rows - 1, Math.max(0, Math.floor(particle.y / cellSize)));
+      const key = cy * cols + cx;
+
+      const cell = cells.get(key);
+      if (cell) {
+        cell.push(particle);
+      } else {
+        cells.set(key, [particle]);
+      }
+    });
+
+    return { cols, cells };
+  }
+}
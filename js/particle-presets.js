@@ -0,0 +1,408 @@
+/**
+ * Particle Presets
+ * Biomedical motifs for ParticleBackground: dividing cells, a DNA double
+ * helix, blood flowing along a vessel and firing neurons.
+ * Like ParticleField, presets never touch the DOM so they run in the worker too.
+ */
+
+/**
+ * @typedef {Object} ParticlePreset
+ * @property {string} name - Value for the preset option / data-particles-preset
+ * @property {Object} [options] - Option defaults the preset applies
+ * @property {Function} [initParticle] - (field, particle) set up per-particle state
+ * @property {Function} [setup] - (field) arrange a freshly created field
+ * @property {Function} [step] - (field) once per frame, before particles move
+ * @property {Function} [move] - (field, particle) replaces the straight-line drift
+ * @property {Function} [drawParticle] - (field, particle, color, opacity) replaces the glowing dot
+ * @property {Function} [drawOverlay] - (field) after particles and connections
+ */
+
+const random = (min, max) => Math.random() * (max - min) + min;
+
+/**
+ * Cells grow, divide into two daughters and fuse again when they
+ * touch, keeping the population around particleCount
+ * @type {ParticlePreset}
+ */
+const cells = {
+  name: 'cells',
+  options: {
+    particleCount: 40,
+    particleSize: { min: 3, max: 7 },
+    speed: { min: -0.15, max: 0.15 }
+  },
+
+  initParticle(field, particle) {
+    particle.age = 0;
+    particle.divideAt = random(300, 900);
+  },
+
+  step(field) {
+    const { particleCount, particleSize, maxParticles } = field.options;
+    const limit = Math.min(maxParticles, Math.round(particleCount * 1.5));
+    const born = [];
+
+    // Division
+    field.particles.forEach(cell => {
+      cell.age++;
+      if (cell.size < particleSize.max) cell.size += 0.004;
+
+      if (cell.age < cell.divideAt || field.particles.length + born.length >= limit) return;
+
+      // Each daughter keeps half the area
+      const size = cell.size / Math.SQRT2;
+      const angle = random(0, Math.PI * 2);
+      const push = 0.8;
+
+      const daughter = field.createParticle(cell.x, cell.y);
+      Object.assign(daughter, { size, colorIndex: cell.colorIndex, spawned: cell.spawned });
+      daughter.vx = -Math.cos(angle) * push;
+      daughter.vy = -Math.sin(angle) * push;
+
+      cell.size = size;
+      cell.age = 0;
+      cell.divideAt = random(300, 900);
+      cell.vx += Math.cos(angle) * push;
+      cell.vy += Math.sin(angle) * push;
+
+      born.push(daughter);
+    });
+
+    field.particles.push(...born);
+
+    // Fusion, only while the population is above its target
+    if (field.particles.length <= particleCount) return;
+
+    const fused = new Set();
+    field.forEachPair(particleSize.max * 3, (a, b, distanceSq) => {
+      if (fused.has(a) || fused.has(b) || a.age < 120 || b.age < 120) return;
+
+      const reach = (a.size + b.size) * 0.6;
+      if (distanceSq > reach * reach) return;
+
+      // Keep the combined area
+      a.size = Math.min(particleSize.max * 1.5, Math.sqrt(a.size * a.size + b.size * b.size));
+      a.x = (a.x + b.x) / 2;
+      a.y = (a.y + b.y) / 2;
+      a.age = 0;
+      fused.add(b);
+    });
+
+    if (fused.size) {
+      field.particles = field.particles.filter(cell => !fused.has(cell));
+    }
+  },
+
+  drawParticle(field, cell, color, opacity) {
+    const { ctx } = field;
+
+    // Membrane
+    ctx.beginPath();
+    ctx.arc(cell.x, cell.y, cell.size, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(${color}, ${opacity * 0.35})`;
+    ctx.fill();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = `rgba(${color}, ${Math.min(1, opacity * 1.6)})`;
+    ctx.stroke();
+
+    // Nucleus
+    ctx.beginPath();
+    ctx.arc(cell.x, cell.y, cell.size * 0.35, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(${color}, ${Math.min(1, opacity * 1.4)})`;
+    ctx.fill();
+  }
+};
+
+/**
+ * Paired particles trace twisting double helices drifting across the page
+ * @type {ParticlePreset}
+ */
+const dna = {
+  name: 'dna',
+  options: {
+    particleCount: 120,
+    particleSize: { min: 2, max: 3 }
+  },
+
+  initParticle(field, particle) {
+    // Stray particles (spawned or added on resize) join a random strand
+    particle.t = field.width ? particle.x / field.width : Math.random();
+    particle.strand = Math.round(Math.random());
+    particle.helix = Math.floor(Math.random() * 4);
+    particle.pair = null;
+  },
+
+  setup(field) {
+    const pairs = Math.ceil(field.particles.length / 2);
+
+    field.particles.forEach((particle, i) => {
+      const pair = Math.floor(i / 2);
+      particle.pair = pair;
+      particle.strand = i % 2;
+      particle.helix = pair;
+      particle.t = pair / pairs;
+    });
+  },
+
+  move(field, particle) {
+    const helices = Math.max(1, Math.round(field.height / 360));
+    const band = field.height / helices;
+    const centerY = band * ((particle.helix % helices) + 0.5);
+    const amplitude = Math.min(60, band * 0.25);
+
+    particle.t = (particle.t + 0.5 / Math.max(1, field.width)) % 1;
+
+    // One turn every 240px, slowly rotating; the strands are half a turn apart
+    const x = particle.t * field.width;
+    const angle = (x / 240) * Math.PI * 2 + field.time * 0.8 + particle.strand * Math.PI;
+
+    particle.x = x;
+    particle.y = centerY + Math.sin(angle) * amplitude;
+    particle.depth = Math.cos(angle);
+  },
+
+  drawParticle(field, particle, color, opacity) {
+    // Nearer strand appears larger and brighter
+    const depth = particle.depth || 0;
+    field.drawGlow(particle.x, particle.y, particle.size * (1 + depth * 0.3), color, opacity * (0.7 + depth * 0.3));
+  },
+
+  drawOverlay(field) {
+    // Base-pair rungs between partners
+    const partners = new Map();
+    field.particles.forEach(particle => {
+      if (particle.pair === null) return;
+      const partner = partners.get(particle.pair);
+      if (partner) {
+        partner.push(particle);
+      } else {
+        partners.set(particle.pair, [particle]);
+      }
+    });
+
+    const [color] = field.getPalette();
+    const { ctx } = field;
+
+    ctx.beginPath();
+    partners.forEach(([a, b]) => {
+      if (!b) return;
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+    });
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = `rgba(${color}, 0.12)`;
+    ctx.stroke();
+  }
+};
+
+/**
+ * Red blood cells stream along a winding vessel, fastest at its centre
+ * @type {ParticlePreset}
+ */
+const bloodflow = {
+  name: 'bloodflow',
+  options: {
+    particleCount: 90,
+    particleSize: { min: 2.5, max: 4 },
+    colors: ['220, 38, 38', '239, 68, 68', '185, 28, 28', '248, 113, 113'],
+    darkColors: ['248, 113, 113', '239, 68, 68', '252, 165, 165', '244, 63, 94']
+  },
+
+  initParticle(field, particle) {
+    particle.s = Math.random();
+    particle.lane = random(-1, 1);
+    particle.flow = random(0.8, 1.2);
+  },
+
+  /**
+   * Point on the vessel's centreline and its direction
+   * @param {ParticleField} field
+   * @param {number} s - Progress along the vessel, 0–1
+   * @returns {{x: number, y: number, angle: number}}
+   */
+  path(field, s) {
+    const { width, height } = field;
+    const wave = s * Math.PI * 2 * 1.25 + 0.6;
+    const amplitude = height * 0.18;
+
+    return {
+      x: s * width,
+      y: height * 0.55 + Math.sin(wave) * amplitude,
+      angle: Math.atan2(Math.cos(wave) * amplitude * Math.PI * 2 * 1.25, width)
+    };
+  },
+
+  /**
+   * Half the vessel's width
+   * @param {ParticleField} field
+   * @returns {number}
+   */
+  radius(field) {
+    return Math.min(70, field.height * 0.1);
+  },
+
+  move(field, particle) {
+    // Laminar flow: fastest in the middle, slowest at the walls
+    const speed = (1 - particle.lane * particle.lane * 0.7) * particle.flow * 1.6;
+    particle.s += speed / Math.max(1, field.width);
+
+    if (particle.s >= 1) {
+      particle.s -= 1;
+      particle.lane = random(-1, 1);
+    }
+
+    const point = this.path(field, particle.s);
+    const offset = particle.lane * this.radius(field);
+
+    particle.x = point.x - Math.sin(point.angle) * offset;
+    particle.y = point.y + Math.cos(point.angle) * offset;
+    particle.angle = point.angle;
+  },
+
+  drawParticle(field, cell, color, opacity) {
+    const { ctx } = field;
+    const angle = cell.angle || 0;
+
+    // Biconcave disc: solid rim with a paler centre
+    ctx.beginPath();
+    ctx.ellipse(cell.x, cell.y, cell.size * 1.6, cell.size, angle, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(${color}, ${Math.min(1, opacity * 1.6)})`;
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.ellipse(cell.x, cell.y, cell.size * 0.8, cell.size * 0.45, angle, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(${color}, ${opacity * 0.5})`;
+    ctx.fill();
+  },
+
+  drawOverlay(field) {
+    const { ctx } = field;
+    const [color] = field.getPalette();
+    const radius = this.radius(field);
+
+    // Faint vessel walls
+    ctx.beginPath();
+    [-1, 1].forEach(side => {
+      for (let i = 0; i <= 60; i++) {
+        const point = this.path(field, i / 60);
+        const x = point.x - Math.sin(point.angle) * radius * side * 1.15;
+        const y = point.y + Math.cos(point.angle) * radius * side * 1.15;
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+    });
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = `rgba(${color}, 0.1)`;
+    ctx.stroke();
+  }
+};
+
+/**
+ * Connected neurons fire at random; signals travel along connections
+ * and can set off the neurons they reach
+ * @type {ParticlePreset}
+ */
+const neurons = {
+  name: 'neurons',
+  options: {
+    particleCount: 60,
+    particleSize: { min: 2, max: 4 },
+    speed: { min: -0.12, max: 0.12 },
+    connectParticles: true,
+    connectionDistance: 170,
+    connectionOpacity: 0.15
+  },
+
+  initParticle(field, particle) {
+    particle.charge = 0;
+    particle.refractory = 0;
+  },
+
+  /**
+   * Fire a neuron, sending signals to every connected neighbour
+   * @param {ParticleField} field
+   * @param {Object} neuron
+   */
+  fire(field, neuron) {
+    if (neuron.refractory > 0) return;
+
+    neuron.charge = 1;
+    neuron.refractory = 90;
+
+    const signals = field.presetState.signals;
+    const maxDistanceSq = field.options.connectionDistance ** 2;
+
+    field.particles.forEach(target => {
+      if (target === neuron || signals.length >= 200) return;
+
+      const dx = target.x - neuron.x;
+      const dy = target.y - neuron.y;
+      if (dx * dx + dy * dy < maxDistanceSq) {
+        signals.push({ from: neuron, to: target, progress: 0 });
+      }
+    });
+  },
+
+  step(field) {
+    field.presetState.signals ||= [];
+
+    field.particles.forEach(neuron => {
+      neuron.charge *= 0.94;
+      if (neuron.refractory > 0) neuron.refractory--;
+      if (Math.random() < 0.002) this.fire(field, neuron);
+    });
+
+    // Signals that arrive may fire the neuron they reach
+    field.presetState.signals = field.presetState.signals.filter(signal => {
+      signal.progress += 0.05;
+      if (signal.progress < 1) return true;
+
+      if (Math.random() < 0.55) this.fire(field, signal.to);
+      return false;
+    });
+  },
+
+  drawParticle(field, neuron, color, opacity) {
+    const charge = neuron.charge || 0;
+    field.drawGlow(neuron.x, neuron.y, neuron.size * (1 + charge * 0.6), color, Math.min(0.6, opacity + charge * 0.4));
+  },
+
+  drawOverlay(field) {
+    const { ctx } = field;
+    const colors = field.getPalette();
+
+    field.presetState.signals?.forEach(({ from, to, progress }) => {
+      const x = from.x + (to.x - from.x) * progress;
+      const y = from.y + (to.y - from.y) * progress;
+
+      ctx.beginPath();
+      ctx.arc(x, y, 1.5, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(${colors[from.colorIndex % colors.length]}, 0.8)`;
+      ctx.fill();
+    });
+  }
+};
+
+const presets = new Map([cells, dna, bloodflow, neurons].map(preset => [preset.name, preset]));
+
+/**
+ * Get a preset by name
+ * @param {string|null|undefined} name
+ * @returns {ParticlePreset|null} null for no preset or an unknown name
+ */
+export function getPreset(name) {
+  return (name && presets.get(name)) || null;
+}
+
+/**
+ * Names of all presets
+ * @returns {string[]}
+ */
+export function getPresetNames() {
+  return Array.from(presets.keys());
+}
+
+export default { getPreset, getPresetNames };
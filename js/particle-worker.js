@@ -0,0 +1,28 @@
+/**
+ * Particle Worker
+ * Runs a ParticleField on a transferred OffscreenCanvas.
+ * ParticleBackground drives it with the same messages the main-thread
+ * field receives, including one 'frame' per effects scheduler tick.
+ */
+
+import ParticleField from './particle-field.js';
+
+let field = null;
+
+self.addEventListener('message', (e) => {
+  const message = e.data;
+
+  if (message.type === 'init') {
+    field = new ParticleField(message.canvas.getContext('2d'), message.options);
+  }
+
+  field?.handle(message);
+
+  if (message.type === 'destroy') {
+    self.close();
+  }
+});
+
+// Loaded: ParticleBackground transfers the canvas only after this, so a
+// browser that can't run module workers never loses it
+self.postMessage({ type: 'ready' });
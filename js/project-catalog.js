@@ -0,0 +1,275 @@
+/**
+ * Project Catalog
+ * Renders project preview cards and project page chrome
+ * from the projects.json manifest, replacing the static markup the
+ * pages keep for when scripts or the manifest aren't available
+ */
+
+const STATUS_LABELS = {
+  wip: 'Coming Soon',
+  winner: 'Winner'
+};
+
+/**
+ * Create an element with an optional class name and text content
+ * @param {string} tag
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text) el.textContent = text;
+  return el;
+}
+
+export default class ProjectCatalog {
+  constructor(options = {}) {
+    this.options = {
+      manifestUrl: options.manifestUrl || new URL('../projects.json', import.meta.url).href,
+      gridSelector: options.gridSelector || '[data-project-catalog]',
+      animation: options.animation || 'fade-up',
+      // Max tilt in degrees for linked cards (GlassInteractions), 0 for none
+      tilt: options.tilt ?? 6
+    };
+
+    this.projects = [];
+    this.loaded = null;
+  }
+
+  /**
+   * Fetch and cache the manifest
+   * @returns {Promise<Object[]>} Projects in manifest order
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = fetch(this.options.manifestUrl)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load ${this.options.manifestUrl} (${response.status})`);
+          }
+          return response.json();
+        })
+        .then(manifest => {
+          this.projects = Array.isArray(manifest.projects) ? manifest.projects : [];
+          return this.projects;
+        });
+    }
+
+    return this.loaded;
+  }
+
+  /**
+   * Render whatever the current page needs: the grid on the
+   * home page, header and bottom nav on a project page
+   * @returns {Promise<HTMLElement[]>} Newly rendered [data-animate] elements
+   */
+  async render() {
+    await this.load();
+
+    const rendered = [];
+
+    document.querySelectorAll(this.options.gridSelector).forEach(grid => {
+      rendered.push(...this.renderGrid(grid));
+    });
+
+    const projectId = document.body.dataset.project;
+    if (projectId) {
+      rendered.push(...this.renderDetail(projectId));
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Resolve a manifest-relative path (manifest paths are relative to the site root)
+   * @param {string} path
+   * @returns {string}
+   */
+  resolve(path) {
+    return new URL(path, this.options.manifestUrl).href;
+  }
+
+  /**
+   * Get a project by id
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  getProject(id) {
+    return this.projects.find(project => project.id === id);
+  }
+
+  /**
+   * Render preview cards for featured projects into a grid
+   * @param {HTMLElement} grid
+   * @returns {HTMLElement[]} Rendered cards
+   */
+  renderGrid(grid) {
+    const cards = this.projects
+      .filter(project => project.featured)
+      .map(project => this.createCard(project));
+
+    grid.replaceChildren(...cards);
+    return cards;
+  }
+
+  /**
+   * Build a single preview card
+   * @param {Object} project
+   * @returns {HTMLElement}
+   */
+  createCard(project) {
+    const isWip = project.status === 'wip' || !project.page;
+    const card = createElement(isWip ? 'div' : 'a', 'project-preview');
+
+    if (!isWip) card.href = this.resolve(project.page);
+    if (!isWip && this.options.tilt) {
+      card.dataset.tilt = '';
+      card.dataset.tiltMax = String(this.options.tilt);
+    }
+    card.dataset.animate = this.options.animation;
+    card.dataset.projectId = project.id;
+    card.dataset.disciplines = (project.disciplines || []).join(' ');
+
+    // Image / status
+    const image = createElement('div', 'project-preview-image');
+
+    if (isWip) {
+      card.classList.add('project-wip');
+      image.classList.add('project-wip-image');
+      image.appendChild(createElement('span', 'wip-badge', STATUS_LABELS.wip));
+    } else if (project.cover) {
+      image.classList.add('project-preview-image-cover');
+      image.style.backgroundImage = `url('${this.resolve(project.cover.src)}')`;
+      if (project.cover.fit === 'contain') {
+        image.classList.add('project-preview-image-contain');
+      }
+    }
+
+    if (project.status === 'winner') {
+      card.classList.add('winner-banner-wrap');
+      card.appendChild(createElement('div', 'winner-banner', STATUS_LABELS.winner));
+    }
+
+    card.appendChild(image);
+
+    // Content
+    const content = createElement('div', 'project-preview-content');
+    const title = createElement('h3', 'project-preview-title', project.title);
+
+    if (project.subtitle) {
+      title.append(' ', createElement('span', 'project-preview-subtitle', `- ${project.subtitle}`));
+    }
+
+    content.appendChild(title);
+    content.appendChild(createElement('p', 'project-preview-desc', project.description));
+    content.appendChild(this.createTags(project.tags));
+    card.appendChild(content);
+
+    return card;
+  }
+
+  /**
+   * Build the tag row; the first tag is accented
+   * @param {string[]} tags
+   * @returns {HTMLElement}
+   */
+  createTags(tags = []) {
+    const row = createElement('div', 'skill-flow project-preview-tags');
+
+    tags.forEach((tag, index) => {
+      row.appendChild(createElement('span', `glass-tag${index === 0 ? ' glass-tag-accent' : ''}`, tag));
+    });
+
+    return row;
+  }
+
+  /**
+   * Render header, section anchors and bottom nav on a project page
+   * @param {string} id
+   * @returns {HTMLElement[]} Rendered [data-animate] elements
+   */
+  renderDetail(id) {
+    const project = this.getProject(id);
+    const rendered = [];
+
+    if (!project) {
+      console.warn(`Project "${id}" not found in manifest`);
+      return rendered;
+    }
+
+    const header = document.querySelector('[data-project-header]');
+    if (header) {
+      this.fillHeader(header, project);
+      rendered.push(header);
+    }
+
+    this.anchorSections(project);
+
+    const nav = document.querySelector('[data-project-nav]');
+    if (nav) {
+      this.fillNav(nav, project);
+      rendered.push(nav);
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Fill the project page header from the manifest entry
+   * @param {HTMLElement} header
+   * @param {Object} project
+   */
+  fillHeader(header, project) {
+    const children = [];
+
+    if (project.meta) children.push(createElement('p', 'project-meta', project.meta));
+    children.push(createElement('h1', '', project.title));
+    if (project.award) children.push(createElement('p', 'project-award', project.award));
+    if (project.intro) children.push(createElement('p', 'project-intro', project.intro));
+
+    header.replaceChildren(...children);
+  }
+
+  /**
+   * Give each .project-section listed in the manifest its id,
+   * matched by heading text
+   * @param {Object} project
+   */
+  anchorSections(project) {
+    const sections = Array.from(document.querySelectorAll('.project-section'));
+
+    (project.sections || []).forEach(({ id, title }) => {
+      const section = sections.find(el => {
+        const heading = el.querySelector('h2');
+        return heading && heading.textContent.trim() === title;
+      });
+
+      if (section && !section.id) {
+        section.id = id;
+      }
+    });
+  }
+
+  /**
+   * Previous/next links follow manifest order across projects with a page
+   * @param {HTMLElement} nav
+   * @param {Object} project
+   */
+  fillNav(nav, project) {
+    const pages = this.projects.filter(p => p.page);
+    const index = pages.indexOf(project);
+    const prev = pages[index - 1];
+    const next = pages[index + 1];
+    const allProjects = this.resolve('index.html#projects');
+
+    const prevLink = createElement('a', 'glass-pill', `← ${prev ? prev.navLabel || prev.title : 'All Projects'}`);
+    prevLink.href = prev ? this.resolve(prev.page) : allProjects;
+
+    const nextLink = createElement('a', 'glass-pill', `${next ? next.navLabel || next.title : 'All Projects'} →`);
+    nextLink.href = next ? this.resolve(next.page) : allProjects;
+
+    nav.replaceChildren(prevLink, nextLink);
+  }
+}
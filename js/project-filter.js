@@ -0,0 +1,267 @@
+/**
+ * Project Filter
+ * Discipline chips and free-text search over the projects grid,
+ * with the active filter mirrored in the URL query string
+ */
+
+export default class ProjectFilter {
+  constructor(grid, options = {}) {
+    this.grid = typeof grid === 'string' ? document.querySelector(grid) : grid;
+
+    if (!this.grid) {
+      console.warn('Project grid not found');
+      return;
+    }
+
+    this.options = {
+      disciplines: options.disciplines || ['hardware', 'software', 'outreach', 'research'],
+      tagParam: options.tagParam || 'tag',
+      queryParam: options.queryParam || 'q',
+      debounce: options.debounce || 150
+    };
+
+    this.tag = '';
+    this.query = '';
+    this.bar = null;
+    this.input = null;
+    this.status = null;
+    this.emptyMessage = null;
+    this.searchTimeout = null;
+
+    this.handlePopState = this.handlePopState.bind(this);
+
+    this.init();
+  }
+
+  /**
+   * Build the filter bar and apply any filter from the URL
+   */
+  init() {
+    this.createBar();
+    this.readState();
+    this.apply({ updateUrl: false });
+
+    window.addEventListener('popstate', this.handlePopState);
+  }
+
+  /**
+   * Create the filter bar above the grid
+   */
+  createBar() {
+    this.bar = document.createElement('div');
+    this.bar.className = 'project-filter';
+
+    // Discipline chips
+    const chips = document.createElement('div');
+    chips.className = 'project-filter-chips';
+    chips.setAttribute('role', 'group');
+    chips.setAttribute('aria-label', 'Filter projects by discipline');
+
+    ['', ...this.options.disciplines].forEach(discipline => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'glass-tag project-filter-chip';
+      chip.dataset.tag = discipline;
+      chip.textContent = discipline || 'All';
+      chip.addEventListener('click', () => {
+        this.tag = this.tag === discipline ? '' : discipline;
+        // Each chip choice gets a history entry, so Back undoes it
+        this.apply({ push: true });
+      });
+      chips.appendChild(chip);
+    });
+
+    // Search
+    const searchId = `project-search-${Math.random().toString(36).slice(2, 8)}`;
+
+    const label = document.createElement('label');
+    label.className = 'sr-only';
+    label.setAttribute('for', searchId);
+    label.textContent = 'Search projects';
+
+    this.input = document.createElement('input');
+    this.input.type = 'search';
+    this.input.id = searchId;
+    this.input.className = 'project-filter-search';
+    this.input.placeholder = 'Search projects';
+    this.input.autocomplete = 'off';
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = setTimeout(() => {
+        this.query = this.input.value.trim();
+        this.apply();
+      }, this.options.debounce);
+    });
+
+    // Screen reader result count
+    this.status = document.createElement('p');
+    this.status.className = 'sr-only';
+    this.status.setAttribute('role', 'status');
+
+    this.emptyMessage = document.createElement('p');
+    this.emptyMessage.className = 'project-filter-empty';
+    this.emptyMessage.textContent = 'No projects match this filter.';
+    this.emptyMessage.hidden = true;
+
+    this.bar.append(chips, label, this.input, this.status);
+    this.grid.before(this.bar);
+    this.grid.after(this.emptyMessage);
+  }
+
+  /**
+   * Read filter state from the query string
+   */
+  readState() {
+    const params = new URLSearchParams(window.location.search);
+    const tag = (params.get(this.options.tagParam) || '').toLowerCase();
+
+    this.tag = this.options.disciplines.includes(tag) ? tag : '';
+    this.query = params.get(this.options.queryParam) || '';
+    this.input.value = this.query;
+  }
+
+  /**
+   * Write filter state to the query string, keeping the hash
+   * @param {boolean} [push=false] - Add a history entry instead of replacing this one
+   */
+  writeState(push = false) {
+    const url = new URL(window.location.href);
+
+    if (this.tag) {
+      url.searchParams.set(this.options.tagParam, this.tag);
+    } else {
+      url.searchParams.delete(this.options.tagParam);
+    }
+
+    if (this.query) {
+      url.searchParams.set(this.options.queryParam, this.query);
+    } else {
+      url.searchParams.delete(this.options.queryParam);
+    }
+
+    if (url.href === window.location.href) return;
+
+    if (push) {
+      // A state of its own: the scroll position saved on the current entry
+      // (NavigationRouter) belongs to that entry, not this one
+      history.pushState({ filter: { tag: this.tag, query: this.query } }, '', url);
+    } else {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  /**
+   * Handle back/forward navigation
+   */
+  handlePopState() {
+    this.readState();
+    this.apply({ updateUrl: false });
+  }
+
+  /**
+   * Get the cards currently in the grid
+   * @returns {HTMLElement[]}
+   */
+  getCards() {
+    return Array.from(this.grid.querySelectorAll('.project-preview'));
+  }
+
+  /**
+   * Check whether a card matches the current filter
+   * @param {HTMLElement} card
+   * @returns {boolean}
+   */
+  matches(card) {
+    if (this.tag) {
+      const disciplines = (card.dataset.disciplines || '').split(' ');
+      if (!disciplines.includes(this.tag)) return false;
+    }
+
+    if (this.query) {
+      const title = card.querySelector('.project-preview-title')?.textContent || '';
+      const desc = card.querySelector('.project-preview-desc')?.textContent || '';
+      const haystack = `${title} ${desc}`.toLowerCase();
+
+      return this.query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+    }
+
+    return true;
+  }
+
+  /**
+   * Show/hide cards for the current filter
+   * @param {Object} [options]
+   * @param {boolean} [options.updateUrl=true]
+   * @param {boolean} [options.push=false] - Add a history entry for this filter
+   */
+  apply({ updateUrl = true, push = false } = {}) {
+    const cards = this.getCards();
+    const revealed = [];
+    let visibleCount = 0;
+
+    cards.forEach(card => {
+      const visible = this.matches(card);
+
+      if (visible) {
+        visibleCount++;
+        if (card.hidden) revealed.push(card);
+      }
+
+      card.hidden = !visible;
+    });
+
+    this.bar.querySelectorAll('.project-filter-chip').forEach(chip => {
+      const active = chip.dataset.tag === this.tag;
+      chip.classList.toggle('active', active);
+      chip.setAttribute('aria-pressed', String(active));
+    });
+
+    this.emptyMessage.hidden = visibleCount > 0;
+    this.status.textContent = `${visibleCount} of ${cards.length} projects shown`;
+
+    if (updateUrl) {
+      this.writeState(push);
+    }
+
+    this.grid.dispatchEvent(new CustomEvent('filterchange', {
+      detail: { tag: this.tag, query: this.query, visible: visibleCount, revealed }
+    }));
+  }
+
+  /**
+   * Set filter programmatically
+   * @param {Object} filter
+   * @param {string} [filter.tag]
+   * @param {string} [filter.query]
+   */
+  setFilter({ tag = this.tag, query = this.query } = {}) {
+    this.tag = this.options.disciplines.includes(tag) ? tag : '';
+    this.query = query.trim();
+    this.input.value = this.query;
+    this.apply();
+  }
+
+  /**
+   * Clear tag and search
+   */
+  reset() {
+    this.setFilter({ tag: '', query: '' });
+  }
+
+  /**
+   * Remove the filter bar and show all cards
+   */
+  destroy() {
+    clearTimeout(this.searchTimeout);
+    window.removeEventListener('popstate', this.handlePopState);
+
+    this.getCards().forEach(card => {
+      card.hidden = false;
+    });
+
+    this.bar?.remove();
+    this.emptyMessage?.remove();
+    this.bar = null;
+    this.emptyMessage = null;
+  }
+}
@@ -1,35 +1,78 @@
 /**
  * Scroll Animations
- * Intersection Observer based reveal animations for Liquid Glass design
+ * Intersection Observer based reveal animations for Liquid Glass design,
+ * plus scroll-linked effects:
+ *
+ *   data-parallax="0.3"    Depth layer, moved by --parallax-y: in-flow elements
+ *                          lag behind the content by that fraction of the scroll;
+ *                          layers in fixed containers drift up by that fraction
+ *                          of the viewport height over the whole page
+ *   data-scroll-progress   Sets --scroll-progress from 0 (entering at the bottom)
+ *                          to 1 (leaving at the top); native view() timeline
+ *                          where supported, computed here otherwise
+ *
+ * Named animations (see animation-registry.js) run with the Web Animations
+ * API; other data-animate values use the CSS transitions in animations.css.
+ * Inside [data-stagger="150"], elements start that many ms apart (default 100).
+ *
+ * [data-animate] elements added to the page later are picked up automatically.
+ * After each scan an `animationsready` event on window reports
+ * { total, animated, pending, added }.
  */
 
+import { hasAnimation, play, reverse } from './animation-registry.js';
+
+const SCROLL_LINKED_SELECTOR = '[data-parallax], [data-scroll-progress]';
+
+/**
+ * Elements matching a selector within a node, including the node itself
+ * @param {Node} node
+ * @param {string} selector
+ * @returns {HTMLElement[]}
+ */
+function queryAll(node, selector) {
+  if (!(node instanceof Element)) return [];
+
+  const matches = Array.from(node.querySelectorAll(selector));
+  if (node.matches(selector)) matches.unshift(node);
+  return matches;
+}
+
 export default class ScrollAnimations {
   constructor(options = {}) {
     this.options = {
       threshold: options.threshold || 0.1,
       rootMargin: options.rootMargin || '0px 0px -50px 0px',
-      once: options.once !== false
+      once: options.once !== false,
+      // Watch for [data-animate] elements added or removed later
+      observeMutations: options.observeMutations !== false
     };
 
     this.observer = null;
+    this.mutationObserver = null;
     this.elements = [];
+    this.animated = new WeakSet(); // shown at least once, never animated again by refresh()
+    this.parallaxItems = [];
+    this.progressItems = [];
+    this.scrollFrame = null;
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.controller = new AbortController();
     this.init();
   }
 
   init() {
-    // Check for reduced motion preference
-    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-      this.showAllElements();
-      return;
+    this.initScrollLinked();
+
+    if (this.options.observeMutations && 'MutationObserver' in window) {
+      this.watchMutations();
     }
 
-    // Check for Intersection Observer support
-    if (!('IntersectionObserver' in window)) {
-      this.showAllElements();
-      return;
+    // Check for reduced motion preference, then Intersection Observer support;
+    // without either, observeElements() shows everything straight away
+    if (!this.motionQuery.matches && 'IntersectionObserver' in window) {
+      this.createObserver();
     }
 
-    this.createObserver();
     this.observeElements();
   }
 
@@ -44,59 +87,168 @@ export default class ScrollAnimations {
   }
 
   observeElements() {
-    this.elements = Array.from(document.querySelectorAll('[data-animate]'));
-    this.elements.forEach(el => this.observer.observe(el));
+    const elements = Array.from(document.querySelectorAll('[data-animate]'));
+    this.observe(elements);
+    this.emitReady(elements.length);
+  }
+
+  /**
+   * Follow [data-animate] elements (and scroll-linked ones) in and out of the page
+   */
+  watchMutations() {
+    this.mutationObserver = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+  }
+
+  handleMutations(mutations) {
+    const added = [];
+    const removed = [];
+    let scrollLinked = false;
+
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        added.push(...queryAll(node, '[data-animate]'));
+        scrollLinked ||= queryAll(node, SCROLL_LINKED_SELECTOR).length > 0;
+      });
+      mutation.removedNodes.forEach(node => {
+        removed.push(...queryAll(node, '[data-animate]'));
+        scrollLinked ||= queryAll(node, SCROLL_LINKED_SELECTOR).length > 0;
+      });
+    });
+
+    // Nodes moved within the page show up in both lists
+    this.unobserve(removed.filter(el => !el.isConnected));
+
+    const fresh = added.filter(el => el.isConnected && !this.elements.includes(el));
+    if (fresh.length) {
+      this.observe(fresh);
+      this.emitReady(fresh.length);
+    }
+
+    if (scrollLinked) {
+      this.collectScrollLinked();
+      this.updateScrollLinked();
+    }
+  }
+
+  /**
+   * Report how many elements are shown and how many are still waiting
+   * @param {number} added - Elements picked up by this scan
+   */
+  emitReady(added) {
+    const all = Array.from(document.querySelectorAll('[data-animate]'));
+    const animated = all.filter(el => this.animated.has(el)).length;
+
+    window.dispatchEvent(new CustomEvent('animationsready', {
+      detail: {
+        total: all.length,
+        animated,
+        pending: all.length - animated,
+        added
+      }
+    }));
   }
 
   handleIntersection(entries) {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
-        this.animateElement(entry.target);
+        // Observing again (refresh, re-filtering) reports shown elements too
+        if (!entry.target.classList.contains('is-visible')) {
+          this.animateElement(entry.target);
+        }
 
         if (this.options.once) {
           this.observer.unobserve(entry.target);
         }
-      } else if (!this.options.once) {
-        entry.target.classList.remove('is-visible');
+      } else if (!this.options.once && entry.target.classList.contains('is-visible')) {
+        // Observing reports every off-screen element too; only hide ones
+        // that are shown (animated ones lose is-visible once reversed)
+        this.reverse(entry.target);
       }
     });
   }
 
   animateElement(element) {
+    const type = element.getAttribute('data-animate');
+    this.animated.add(element);
+
     // Handle staggered animations
-    const parent = element.closest('[data-stagger]');
-    if (parent) {
-      const siblings = Array.from(parent.querySelectorAll('[data-animate]'));
-      const index = siblings.indexOf(element);
-      element.style.transitionDelay = `${index * 0.1}s`;
-    }
+    const offset = this.getStaggerOffset(element);
 
-    // Trigger the animation
-    element.classList.add('is-visible');
+    if (hasAnimation(type)) {
+      this.play(element, { offset });
+    } else {
+      if (offset) {
+        element.style.transitionDelay = `${offset}ms`;
+      }
 
-    // Reset delay after animation completes
-    setTimeout(() => {
-      element.style.transitionDelay = '';
-    }, 1000);
+      // Trigger the animation
+      element.classList.add('is-visible');
+
+      // Reset delay after animation completes
+      setTimeout(() => {
+        element.style.transitionDelay = '';
+      }, 1000);
+    }
 
     // Dispatch event
     element.dispatchEvent(new CustomEvent('animated', {
-      detail: { type: element.getAttribute('data-animate') }
+      detail: { type }
     }));
   }
 
+  /**
+   * Delay for an element's place in its [data-stagger] group
+   * @param {HTMLElement} element
+   * @returns {number} ms
+   */
+  getStaggerOffset(element) {
+    const parent = element.closest('[data-stagger]');
+    if (!parent) return 0;
+
+    const step = Number(parent.dataset.stagger) || 100;
+    const siblings = Array.from(parent.querySelectorAll('[data-animate]'));
+    return Math.max(0, siblings.indexOf(element)) * step;
+  }
+
+  /**
+   * Show an element with its data-animate animation
+   * @param {HTMLElement} element
+   * @param {Object} [options] - See animation-registry.js play()
+   * @returns {Promise<HTMLElement>} Resolves when the element is fully shown,
+   *   so sequences can be chained
+   */
+  play(element, options) {
+    return play(element, options);
+  }
+
+  /**
+   * Hide an element by running its animation backwards
+   * @param {HTMLElement} element
+   * @param {Object} [options] - See animation-registry.js reverse()
+   * @returns {Promise<HTMLElement>} Resolves when the element is hidden
+   */
+  reverse(element, options) {
+    return reverse(element, options);
+  }
+
   showAllElements() {
-    document.querySelectorAll('[data-animate]').forEach(el => {
-      el.classList.add('is-visible');
-      el.style.opacity = '1';
-      el.style.transform = 'none';
-      el.style.filter = 'none';
-    });
+    document.querySelectorAll('[data-animate]').forEach(el => this.showElement(el));
   }
 
-  observe(elements) {
-    if (!this.observer) return;
+  /**
+   * Show an element without animating it
+   * @param {HTMLElement} el
+   */
+  showElement(el) {
+    el.classList.add('is-visible');
+    el.style.opacity = '1';
+    el.style.transform = 'none';
+    el.style.filter = 'none';
+    this.animated.add(el);
+  }
 
+  observe(elements) {
     let arr = [];
     if (typeof elements === 'string') {
       arr = Array.from(document.querySelectorAll(elements));
@@ -107,16 +259,155 @@ export default class ScrollAnimations {
     }
 
     arr.forEach(el => {
-      if (el instanceof HTMLElement) {
-        this.observer.observe(el);
-        this.elements.push(el);
+      if (!(el instanceof HTMLElement)) return;
+
+      // Without an observer (reduced motion, old browsers) just show it
+      if (!this.observer) {
+        this.showElement(el);
+        return;
       }
+
+      // Shown once already and not meant to animate again
+      if (this.options.once && this.animated.has(el)) return;
+      if (this.elements.includes(el)) return;
+
+      this.observer.observe(el);
+      this.elements.push(el);
     });
   }
 
+  /**
+   * Stop watching elements, e.g. ones removed from the page
+   * @param {HTMLElement|HTMLElement[]} elements
+   */
+  unobserve(elements) {
+    [elements].flat().forEach(el => {
+      const index = this.elements.indexOf(el);
+      if (index === -1) return;
+
+      this.observer?.unobserve(el);
+      this.elements.splice(index, 1);
+    });
+  }
+
+  /**
+   * Whether CSS drives --scroll-progress with animation-timeline: view()
+   * @returns {boolean}
+   */
+  static supportsViewTimeline() {
+    return typeof CSS !== 'undefined' && CSS.supports('animation-timeline', 'view()');
+  }
+
+  /**
+   * Set up parallax layers and scroll progress, updated once per frame while scrolling
+   */
+  initScrollLinked() {
+    const { signal } = this.controller;
+
+    this.collectScrollLinked();
+
+    const schedule = () => this.requestScrollUpdate();
+    window.addEventListener('scroll', schedule, { passive: true, signal });
+    window.addEventListener('resize', schedule, { passive: true, signal });
+    this.motionQuery.addEventListener('change', schedule, { signal });
+
+    this.updateScrollLinked();
+  }
+
+  /**
+   * Find [data-parallax] and (without native support) [data-scroll-progress] elements
+   */
+  collectScrollLinked() {
+    this.parallaxItems = Array.from(document.querySelectorAll('[data-parallax]')).map(element => ({
+      element,
+      depth: parseFloat(element.dataset.parallax) || 0,
+      // Layers inside fixed containers never move through the viewport
+      fixed: ScrollAnimations.isFixed(element)
+    }));
+
+    this.progressItems = ScrollAnimations.supportsViewTimeline()
+      ? []
+      : Array.from(document.querySelectorAll('[data-scroll-progress]'));
+  }
+
+  /**
+   * Whether an element or one of its ancestors is position: fixed
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  static isFixed(element) {
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      if (window.getComputedStyle(node).position === 'fixed') return true;
+    }
+    return false;
+  }
+
+  /**
+   * How far an element has travelled through the viewport, 0 to 1
+   * (the same range as the view() timeline)
+   * @param {DOMRect} rect
+   * @returns {number}
+   */
+  static viewProgress(rect) {
+    const viewport = window.innerHeight;
+    const progress = (viewport - rect.top) / (viewport + rect.height);
+    return Math.min(1, Math.max(0, progress));
+  }
+
+  requestScrollUpdate() {
+    if (this.scrollFrame) return;
+
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this.updateScrollLinked();
+    });
+  }
+
+  updateScrollLinked() {
+    const viewport = window.innerHeight;
+    const scrollable = document.documentElement.scrollHeight - viewport;
+    const pageProgress = scrollable > 0 ? Math.min(1, window.scrollY / scrollable) : 0;
+    const still = this.motionQuery.matches;
+
+    this.parallaxItems.forEach(item => {
+      const { element, depth, fixed } = item;
+
+      if (still) {
+        element.style.removeProperty('--parallax-y');
+        return;
+      }
+
+      let offset;
+      if (fixed) {
+        // Drift up by depth × viewport height over the whole page
+        offset = -pageProgress * depth * viewport;
+      } else {
+        // Lag behind the content around the viewport's centre; measure
+        // without the current offset so the layer doesn't chase itself
+        const rect = element.getBoundingClientRect();
+        const centre = rect.top - (item.offset || 0) + rect.height / 2;
+        offset = (viewport / 2 - centre) * depth;
+      }
+
+      item.offset = offset;
+      element.style.setProperty('--parallax-y', `${offset.toFixed(1)}px`);
+    });
+
+    this.progressItems.forEach(element => {
+      const progress = ScrollAnimations.viewProgress(element.getBoundingClientRect());
+      element.style.setProperty('--scroll-progress', progress.toFixed(3));
+    });
+  }
+
+  /**
+   * Rescan the page. Elements that have already animated stay as they are,
+   * so this is safe to call any number of times.
+   */
   refresh() {
-    if (!this.observer) return;
-    this.observer.disconnect();
+    this.collectScrollLinked();
+    this.updateScrollLinked();
+
+    this.observer?.disconnect();
     this.elements = [];
     this.observeElements();
   }
@@ -126,6 +417,15 @@ export default class ScrollAnimations {
       this.observer.disconnect();
       this.observer = null;
     }
+    this.mutationObserver?.disconnect();
+    this.mutationObserver = null;
     this.elements = [];
+
+    this.controller.abort();
+    cancelAnimationFrame(this.scrollFrame);
+    this.parallaxItems.forEach(({ element }) => element.style.removeProperty('--parallax-y'));
+    this.progressItems.forEach(element => element.style.removeProperty('--scroll-progress'));
+    this.parallaxItems = [];
+    this.progressItems = [];
   }
 }
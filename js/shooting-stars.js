@@ -1,36 +1,189 @@
-// Shooting Stars (dark mode only)
-(function() {
-  const container = document.querySelector('.shooting-stars');
-  if (!container) return;
-
-  // Create background dots
-  function createBackgroundDots() {
-    // Small dim dots
-    for (let i = 0; i < 40; i++) {
-      const dot = document.createElement('div');
-      dot.className = 'star-dot';
-      dot.style.top = Math.random() * 100 + '%';
-      dot.style.left = Math.random() * 100 + '%';
-      dot.style.animationDelay = Math.random() * 4 + 's';
-      container.appendChild(dot);
+/**
+ * Shooting Stars
+ * Twinkling background dots with the occasional shooting star,
+ * plus meteor showers on demand (dark themes only)
+ */
+
+import effectsScheduler from './effects-scheduler.js';
+
+const random = (min, max) => Math.random() * (max - min) + min;
+
+export default class ShootingStars {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+
+    if (!this.container) {
+      console.warn('Shooting stars container not found');
+      return;
     }
-    // Brighter larger dots
-    for (let i = 0; i < 15; i++) {
+
+    this.options = {
+      density: options.density ?? 42, // background dots per megapixel of viewport
+      brightRatio: options.brightRatio ?? 0.27, // share of dots that are large and bright
+      interval: { min: 3000, max: 6000, ...options.interval }, // ms between shooting stars
+      delay: options.delay ?? 1500, // ms before the first one
+      direction: options.direction ?? -35, // degrees from vertical; negative travels right
+      trail: { min: 50, max: 90, ...options.trail }, // px
+      duration: { min: 800, max: 1200, ...options.duration }, // ms
+      burstSelector: options.burstSelector || '[data-meteor-shower]'
+    };
+
+    this.dots = [];
+    this.stars = new Set();
+    this.timers = new Set();
+    this.countdown = this.options.delay;
+    this.running = false;
+    this.resizeTimer = null;
+    this.burstObserver = null;
+    this.controller = new AbortController();
+
+    this.tick = this.tick.bind(this);
+    this.init();
+  }
+
+  /**
+   * Initialize shooting stars
+   */
+  init() {
+    this.container.style.setProperty('--star-angle', `${this.options.direction}deg`);
+
+    this.createBackgroundDots();
+    this.bindEvents();
+    this.observeBurstTriggers();
+    this.start();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  bindEvents() {
+    // Regenerate dots for the new viewport once resizing settles
+    window.addEventListener('resize', () => {
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = setTimeout(() => this.createBackgroundDots(), 200);
+    }, { signal: this.controller.signal });
+  }
+
+  /**
+   * (Re)create the twinkling background dots for the current viewport
+   */
+  createBackgroundDots() {
+    this.dots.forEach(dot => dot.remove());
+
+    const megapixels = (window.innerWidth * window.innerHeight) / 1e6;
+    const count = Math.round(megapixels * this.options.density);
+    const bright = Math.round(count * this.options.brightRatio);
+
+    this.dots = Array.from({ length: count }, (_, i) => {
+      const isBright = i < bright;
       const dot = document.createElement('div');
-      dot.className = 'star-dot star-dot-bright';
-      dot.style.top = Math.random() * 100 + '%';
-      dot.style.left = Math.random() * 100 + '%';
-      dot.style.animationDelay = Math.random() * 5 + 's';
-      container.appendChild(dot);
+      dot.className = isBright ? 'star-dot star-dot-bright' : 'star-dot';
+      dot.style.top = `${Math.random() * 100}%`;
+      dot.style.left = `${Math.random() * 100}%`;
+      dot.style.animationDelay = `${Math.random() * (isBright ? 5 : 4)}s`;
+      return dot;
+    });
+
+    this.container.append(...this.dots);
+  }
+
+  /**
+   * Start spawning on the shared effects loop.
+   * Only runs in themes that enable shooting stars (dark-based themes by default).
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    effectsScheduler.register(this, this.tick, {
+      fps: 10,
+      when: theme => theme.effects.shootingStars,
+      onStateChange: (active) => {
+        if (active) {
+          this.countdown = this.options.delay;
+        } else {
+          this.clearStars();
+        }
+      }
+    });
+  }
+
+  /**
+   * Stop spawning and clear any stars in flight
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    effectsScheduler.unregister(this);
+    this.clearStars();
+  }
+
+  /**
+   * Whether stars are currently being shown
+   * @returns {boolean}
+   */
+  isActive() {
+    return effectsScheduler.isRunning(this);
+  }
+
+  /**
+   * Count down to the next shooting star
+   * @param {number} time
+   * @param {number} elapsed - ms since the last tick
+   */
+  tick(time, elapsed) {
+    this.countdown -= elapsed;
+    if (this.countdown > 0) return;
+
+    this.createShootingStar();
+    this.countdown = random(this.options.interval.min, this.options.interval.max);
+  }
+
+  /**
+   * Launch a meteor shower of several stars in quick succession
+   * @param {number} [count=8]
+   * @param {number} [spread=1500] - ms over which the stars are launched
+   */
+  burst(count = 8, spread = 1500) {
+    if (!this.isActive()) return;
+
+    for (let i = 0; i < count; i++) {
+      this.setTimer(() => this.createShootingStar(), random(0, spread));
     }
   }
 
-  function createShootingStar() {
+  /**
+   * Burst once when each [data-meteor-shower] element scrolls into view;
+   * the attribute value sets the number of stars
+   */
+  observeBurstTriggers() {
+    const triggers = document.querySelectorAll(this.options.burstSelector);
+    if (!triggers.length || !('IntersectionObserver' in window)) return;
+
+    this.burstObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        // Keep watching until it is seen while the stars are showing
+        if (!entry.isIntersecting || !this.isActive()) return;
+
+        this.burst(Number(entry.target.dataset.meteorShower) || undefined);
+        this.burstObserver.unobserve(entry.target);
+      });
+    }, { threshold: 0.3 });
+
+    triggers.forEach(trigger => this.burstObserver.observe(trigger));
+  }
+
+  /**
+   * Launch a single shooting star
+   */
+  createShootingStar() {
+    const { trail, duration } = this.options;
     const star = document.createElement('div');
     star.className = 'shooting-star';
 
     // Random position - top half of screen, favor edges
-    star.style.top = Math.random() * 35 + '%';
+    star.style.top = `${Math.random() * 35}%`;
 
     // Favor left and right edges (avoid middle 30-70%)
     let left;
@@ -41,40 +194,57 @@
       // 30% chance for middle
       left = 25 + Math.random() * 50;
     }
-    star.style.left = left + '%';
-
-    // Random size - smaller
-    const height = 50 + Math.random() * 40;
-    star.style.height = height + 'px';
+    star.style.left = `${left}%`;
+    star.style.height = `${random(trail.min, trail.max)}px`;
 
-    // Add to container
-    container.appendChild(star);
+    this.container.appendChild(star);
+    this.stars.add(star);
 
     // Trigger animation
-    const duration = 0.8 + Math.random() * 0.4;
-    star.style.animation = `falling ${duration}s ease-in forwards`;
+    const time = random(duration.min, duration.max);
+    star.style.animation = `falling ${time}ms ease-in forwards`;
 
     // Remove after animation
-    setTimeout(() => {
+    this.setTimer(() => {
       star.remove();
-    }, duration * 1000 + 100);
+      this.stars.delete(star);
+    }, time + 100);
   }
 
-  function scheduleNext() {
-    // Random delay between 3-6 seconds
-    const delay = 3000 + Math.random() * 3000;
-    setTimeout(() => {
-      createShootingStar();
-      scheduleNext();
+  /**
+   * setTimeout that clearStars() can cancel
+   * @param {Function} callback
+   * @param {number} delay
+   */
+  setTimer(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
     }, delay);
+    this.timers.add(timer);
   }
 
-  // Initialize
-  createBackgroundDots();
+  /**
+   * Remove stars in flight and cancel pending launches
+   */
+  clearStars() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.stars.forEach(star => star.remove());
+    this.stars.clear();
+  }
 
-  // Start after a short delay
-  setTimeout(() => {
-    createShootingStar();
-    scheduleNext();
-  }, 1500);
-})();
+  /**
+   * Stop and remove everything the effect added
+   */
+  destroy() {
+    this.stop();
+    this.controller.abort();
+    clearTimeout(this.resizeTimer);
+    this.burstObserver?.disconnect();
+
+    this.dots.forEach(dot => dot.remove());
+    this.dots = [];
+    this.container.style.removeProperty('--star-angle');
+  }
+}
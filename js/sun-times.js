@@ -0,0 +1,58 @@
+/**
+ * Sun Times
+ * Approximate local sunrise/sunset for a date and location
+ * (simplified NOAA solar position, accurate to a minute or two)
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = 23.4397 * RAD;
+const SUN_ALTITUDE = -0.833 * RAD; // Upper limb at the horizon, with refraction
+
+const toJulian = (date) => date.valueOf() / DAY_MS - 0.5 + J1970;
+const fromJulian = (j) => new Date((j + 0.5 - J1970) * DAY_MS);
+
+/**
+ * Sunrise and sunset for the day containing `date`
+ * @param {Date} date
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @returns {{sunrise: Date, sunset: Date}|null} null during polar day or night
+ */
+export function getSunTimes(date, latitude, longitude) {
+  // Anchor to local noon so the result belongs to the requested day
+  const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+
+  const lw = -longitude * RAD;
+  const phi = latitude * RAD;
+  const days = toJulian(noon) - J2000;
+
+  // Mean solar noon
+  const cycle = Math.round(days - 0.0009 - lw / (2 * Math.PI));
+  const approxTransit = 0.0009 + lw / (2 * Math.PI) + cycle;
+
+  // Solar mean anomaly, equation of center and ecliptic longitude
+  const M = RAD * (357.5291 + 0.98560028 * approxTransit);
+  const C = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const L = M + C + RAD * 102.9372 + Math.PI;
+
+  const declination = Math.asin(Math.sin(L) * Math.sin(OBLIQUITY));
+  const transit = J2000 + approxTransit + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+  // Hour angle of sunrise/sunset
+  const cosH = (Math.sin(SUN_ALTITUDE) - Math.sin(phi) * Math.sin(declination))
+    / (Math.cos(phi) * Math.cos(declination));
+
+  if (cosH < -1 || cosH > 1) return null;
+
+  const halfDay = Math.acos(cosH) / (2 * Math.PI);
+
+  return {
+    sunrise: fromJulian(transit - halfDay),
+    sunset: fromJulian(transit + halfDay)
+  };
+}
+
+export default { getSunTimes };
@@ -0,0 +1,225 @@
+/**
+ * Table of Contents
+ * In-page navigation for long project pages, built from the section
+ * headings. A side list on wide screens, a dropdown on smaller ones;
+ * the current section is highlighted as the page scrolls.
+ */
+
+/**
+ * Turn heading text into an id ("The Problem" -> "the-problem")
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export default class TableOfContents {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+
+    if (!this.container) {
+      console.warn('Table of contents container not found');
+      return;
+    }
+
+    this.options = {
+      sectionSelector: options.sectionSelector || '.project-section',
+      headingSelector: options.headingSelector || 'h2',
+      minSections: options.minSections ?? 4, // shorter pages don't need one
+      title: options.title || 'On this page',
+      // Same band as the main navigation's active link highlighting
+      rootMargin: options.rootMargin || '-20% 0px -60% 0px'
+    };
+
+    this.entries = [];
+    this.element = null;
+    this.toggle = null;
+    this.current = null;
+    this.observer = null;
+    this.controller = new AbortController();
+
+    this.init();
+  }
+
+  /**
+   * Initialize table of contents
+   */
+  init() {
+    this.entries = this.collectSections();
+    if (this.entries.length < this.options.minSections) return;
+
+    this.render();
+    this.bindEvents();
+    this.observeSections();
+  }
+
+  /**
+   * Sections with a heading, given ids where the manifest didn't
+   * (ProjectCatalog.anchorSections) so they can be linked to
+   * @returns {{section: HTMLElement, id: string, title: string}[]}
+   */
+  collectSections() {
+    const used = new Set();
+
+    return Array.from(this.container.querySelectorAll(this.options.sectionSelector))
+      .map(section => {
+        const heading = section.querySelector(this.options.headingSelector);
+        if (!heading) return null;
+
+        const title = heading.textContent.trim();
+
+        if (!section.id) {
+          const base = slugify(title) || 'section';
+          let id = base;
+          for (let n = 2; used.has(id) || document.getElementById(id); n++) {
+            id = `${base}-${n}`;
+          }
+          section.id = id;
+        }
+
+        used.add(section.id);
+        return { section, id: section.id, title };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Build the list and insert it at the top of the container
+   */
+  render() {
+    const nav = document.createElement('nav');
+    nav.className = 'project-toc';
+    nav.setAttribute('aria-label', this.options.title);
+
+    // Only shown on smaller screens, where the list is a dropdown
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'project-toc-toggle';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', 'project-toc-list');
+
+    const label = document.createElement('span');
+    label.className = 'project-toc-label';
+    label.textContent = this.options.title;
+
+    const current = document.createElement('span');
+    current.className = 'project-toc-current';
+    toggle.append(label, current);
+
+    const list = document.createElement('ol');
+    list.className = 'project-toc-list';
+    list.id = 'project-toc-list';
+
+    this.entries.forEach(entry => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'project-toc-link';
+      link.href = `#${entry.id}`;
+      link.textContent = entry.title;
+      item.appendChild(link);
+      list.appendChild(item);
+      entry.link = link;
+    });
+
+    nav.append(toggle, list);
+    this.container.prepend(nav);
+
+    this.element = nav;
+    this.toggle = toggle;
+  }
+
+  /**
+   * Set up event listeners
+   */
+  bindEvents() {
+    const { signal } = this.controller;
+
+    this.toggle.addEventListener('click', () => {
+      this.setOpen(this.toggle.getAttribute('aria-expanded') !== 'true');
+    }, { signal });
+
+    // Links scroll through the app's smooth scrolling; just close the dropdown
+    this.element.addEventListener('click', (e) => {
+      if (e.target.closest('.project-toc-link')) this.setOpen(false);
+    }, { signal });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.element.classList.contains('open')) {
+        this.setOpen(false);
+        this.toggle.focus();
+      }
+    }, { signal });
+
+    document.addEventListener('click', (e) => {
+      if (!this.element.contains(e.target)) this.setOpen(false);
+    }, { signal });
+  }
+
+  /**
+   * Open or close the dropdown
+   * @param {boolean} open
+   */
+  setOpen(open) {
+    this.element.classList.toggle('open', open);
+    this.toggle.setAttribute('aria-expanded', String(open));
+  }
+
+  /**
+   * Highlight the section crossing the upper part of the viewport
+   */
+  observeSections() {
+    if (!('IntersectionObserver' in window)) return;
+
+    this.observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.setCurrent(entry.target.id);
+        }
+      });
+    }, {
+      root: null,
+      rootMargin: this.options.rootMargin,
+      threshold: 0
+    });
+
+    this.entries.forEach(({ section }) => this.observer.observe(section));
+  }
+
+  /**
+   * Mark a section's link as current
+   * @param {string} id
+   */
+  setCurrent(id) {
+    if (id === this.current) return;
+    this.current = id;
+
+    this.entries.forEach(entry => {
+      const isCurrent = entry.id === id;
+      entry.link.classList.toggle('active', isCurrent);
+
+      if (isCurrent) {
+        entry.link.setAttribute('aria-current', 'location');
+        this.toggle.querySelector('.project-toc-current').textContent = entry.title;
+      } else {
+        entry.link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Remove the table of contents
+   */
+  destroy() {
+    this.controller.abort();
+    this.observer?.disconnect();
+    this.element?.remove();
+    this.element = null;
+    this.entries = [];
+  }
+}
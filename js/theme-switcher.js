@@ -1,13 +1,35 @@
 /**
  * Theme Switcher
- * Handles light/dark mode toggle with localStorage persistence
- * and system preference detection
+ * Handles theme selection from the theme registry with localStorage
+ * persistence, a picker menu, system preference detection,
+ * scheduled switching by time of day and sync across open tabs
  */
 
+import { getTheme, getThemes, hasTheme } from './themes.js';
+import { getSunTimes } from './sun-times.js';
+
+const SYSTEM = 'system';
+const AUTO = 'auto';
+
 export default class ThemeSwitcher {
-  constructor() {
-    this.theme = this.getStoredTheme() || this.getPreferredTheme();
+  constructor(options = {}) {
+    // Schedule for the "auto" preference; a stored schedule wins over defaults
+    this.schedule = {
+      dayTheme: 'light',
+      nightTheme: 'dark',
+      lightAt: '07:00',
+      darkAt: '19:00',
+      latitude: null,
+      longitude: null,
+      ...options.schedule,
+      ...this.getStoredSchedule()
+    };
+
+    this.preference = this.getStoredTheme() || SYSTEM;
+    this.theme = this.resolveTheme(this.preference);
     this.toggle = null;
+    this.menu = null;
+    this.scheduleTimer = null;
     this.init();
   }
 
@@ -15,24 +37,50 @@ export default class ThemeSwitcher {
    * Initialize theme switcher
    */
   init() {
-    // Apply initial theme
-    this.applyTheme(this.theme);
+    // Apply initial theme (system- and schedule-derived themes are not persisted)
+    this.applyTheme(this.theme, { persist: !this.isDerived() });
 
-    // Set up toggle button
+    // Set up toggle button and picker menu
     this.setupToggle();
 
     // Watch for system theme changes
     this.watchSystemTheme();
 
-    // Theme ready
+    // Start the time-of-day schedule if selected
+    this.watchSchedule();
+
+    // Follow changes made in other tabs
+    this.watchStorage();
+  }
+
+  /**
+   * Whether the applied theme follows the system or the schedule
+   * rather than an explicit choice
+   * @returns {boolean}
+   */
+  isDerived() {
+    return this.preference === SYSTEM || this.preference === AUTO;
   }
 
   /**
    * Get theme from localStorage
-   * @returns {string|null} Stored theme or null
+   * @returns {string|null} Stored theme name, 'auto', or null
    */
   getStoredTheme() {
-    return localStorage.getItem('theme');
+    const stored = localStorage.getItem('theme');
+    return stored && (stored === AUTO || hasTheme(stored)) ? stored : null;
+  }
+
+  /**
+   * Get schedule overrides from localStorage
+   * @returns {Object}
+   */
+  getStoredSchedule() {
+    try {
+      return JSON.parse(localStorage.getItem('theme-schedule')) || {};
+    } catch (e) {
+      return {};
+    }
   }
 
   /**
@@ -44,22 +92,100 @@ export default class ThemeSwitcher {
     return prefersDark ? 'dark' : 'light';
   }
 
+  /**
+   * Resolve a preference ('system', 'auto' or a theme name) to a theme name
+   * @param {string} preference
+   * @returns {string}
+   */
+  resolveTheme(preference) {
+    if (preference === SYSTEM) return this.getPreferredTheme();
+    if (preference === AUTO) return this.getScheduledTheme();
+    return preference;
+  }
+
+  /**
+   * Light/dark switch times for the day containing `date`.
+   * Uses computed sunrise/sunset when a location is configured,
+   * otherwise the fixed lightAt/darkAt times.
+   * @param {Date} date
+   * @returns {{lightAt: Date, darkAt: Date}}
+   */
+  getSwitchTimes(date) {
+    const { latitude, longitude } = this.schedule;
+
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      const sun = getSunTimes(date, latitude, longitude);
+      if (sun) {
+        return { lightAt: sun.sunrise, darkAt: sun.sunset };
+      }
+    }
+
+    const at = (time) => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours || 0, minutes || 0);
+    };
+
+    return { lightAt: at(this.schedule.lightAt), darkAt: at(this.schedule.darkAt) };
+  }
+
+  /**
+   * Theme the schedule calls for at a given moment
+   * @param {Date} [now]
+   * @returns {string}
+   */
+  getScheduledTheme(now = new Date()) {
+    const { lightAt, darkAt } = this.getSwitchTimes(now);
+    const isDay = now >= lightAt && now < darkAt;
+    return isDay ? this.schedule.dayTheme : this.schedule.nightTheme;
+  }
+
+  /**
+   * Next scheduled switch after a moment
+   * @param {Date} [now]
+   * @returns {Date}
+   */
+  getNextSwitch(now = new Date()) {
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const today = this.getSwitchTimes(now);
+
+    return [today.lightAt, today.darkAt, this.getSwitchTimes(tomorrow).lightAt]
+      .find(time => time > now);
+  }
+
   /**
    * Apply theme to document
-   * @param {string} theme - 'light' or 'dark'
+   * @param {string} theme - Registered theme name
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Store the theme as the user's preference
    */
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem('theme', theme);
-    this.theme = theme;
+  applyTheme(theme, { persist = true } = {}) {
+    const descriptor = getTheme(theme) || getTheme('light');
+
+    document.documentElement.setAttribute('data-theme', descriptor.name);
+    document.documentElement.setAttribute('data-scheme', descriptor.scheme);
+    document.documentElement.style.colorScheme = descriptor.scheme;
+
+    if (persist) {
+      localStorage.setItem('theme', descriptor.name);
+      this.preference = descriptor.name;
+    }
+
+    this.theme = descriptor.name;
     this.updateToggleUI();
 
     // Dispatch custom event for other components
-    window.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
+    window.dispatchEvent(new CustomEvent('themechange', {
+      detail: {
+        theme: descriptor.name,
+        scheme: descriptor.scheme,
+        descriptor,
+        preference: this.preference
+      }
+    }));
   }
 
   /**
-   * Set up toggle button event listener
+   * Set up toggle button and attach the theme picker menu to it
    */
   setupToggle() {
     this.toggle = document.getElementById('theme-toggle');
@@ -69,35 +195,185 @@ export default class ThemeSwitcher {
       return;
     }
 
+    this.createMenu();
+
+    this.toggle.setAttribute('aria-haspopup', 'menu');
+    this.toggle.setAttribute('aria-controls', this.menu.id);
+    this.toggle.setAttribute('aria-expanded', 'false');
+
     this.toggle.addEventListener('click', () => {
-      const newTheme = this.theme === 'light' ? 'dark' : 'light';
-      this.applyTheme(newTheme);
+      if (this.isMenuOpen()) {
+        this.closeMenu();
+      } else {
+        this.openMenu();
+      }
 
       // Add a little feedback animation
       this.toggle.style.transform = 'scale(0.95)';
       setTimeout(() => {
-        this.toggle.style.transform = 'scale(1)';
+        this.toggle.style.transform = '';
       }, 100);
     });
 
     // Keyboard accessibility
     this.toggle.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
         e.preventDefault();
-        this.toggle.click();
+        this.openMenu(e.key === 'ArrowUp' ? -1 : 0);
+      }
+    });
+
+    // Close when clicking elsewhere
+    document.addEventListener('click', (e) => {
+      if (this.isMenuOpen() && !this.menu.contains(e.target) && !this.toggle.contains(e.target)) {
+        this.closeMenu();
       }
     });
+
+    this.updateToggleUI();
+  }
+
+  /**
+   * Build the picker menu: System followed by every registered theme
+   */
+  createMenu() {
+    this.menu = document.createElement('div');
+    this.menu.className = 'theme-menu';
+    this.menu.id = 'theme-menu';
+    this.menu.setAttribute('role', 'menu');
+    this.menu.setAttribute('aria-label', 'Theme');
+    this.menu.hidden = true;
+
+    const options = [
+      { name: SYSTEM, label: 'System' },
+      { name: AUTO, label: 'Auto (time of day)' },
+      ...getThemes()
+    ];
+
+    options.forEach(option => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'theme-menu-item';
+      item.setAttribute('role', 'menuitemradio');
+      item.dataset.themeOption = option.name;
+
+      const swatch = document.createElement('span');
+      swatch.className = 'theme-menu-swatch';
+      swatch.setAttribute('aria-hidden', 'true');
+      swatch.dataset.swatch = option.name;
+
+      item.append(swatch, document.createTextNode(option.label));
+      item.addEventListener('click', () => {
+        this.setTheme(option.name);
+        this.closeMenu();
+        this.toggle.focus();
+      });
+
+      this.menu.appendChild(item);
+    });
+
+    this.menu.addEventListener('keydown', this.handleMenuKeydown.bind(this));
+    this.toggle.after(this.menu);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isMenuOpen() {
+    return Boolean(this.menu && !this.menu.hidden);
   }
 
   /**
-   * Update toggle button UI
+   * Open the picker menu and focus an item
+   * @param {number} [focusIndex] - Item to focus; -1 for the last, defaults to the checked item
+   */
+  openMenu(focusIndex) {
+    if (!this.menu) return;
+
+    this.menu.hidden = false;
+    this.toggle.setAttribute('aria-expanded', 'true');
+
+    const items = this.getMenuItems();
+    let index = items.findIndex(item => item.getAttribute('aria-checked') === 'true');
+    if (focusIndex !== undefined) {
+      index = focusIndex < 0 ? items.length - 1 : focusIndex;
+    }
+    items[Math.max(0, index)]?.focus();
+  }
+
+  /**
+   * Close the picker menu
+   */
+  closeMenu() {
+    if (!this.menu) return;
+
+    this.menu.hidden = true;
+    this.toggle.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * @returns {HTMLElement[]}
+   */
+  getMenuItems() {
+    return Array.from(this.menu.querySelectorAll('.theme-menu-item'));
+  }
+
+  /**
+   * Arrow/Home/End/Escape handling inside the menu
+   * @param {KeyboardEvent} e
+   */
+  handleMenuKeydown(e) {
+    const items = this.getMenuItems();
+    const index = items.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        items[(index + 1) % items.length].focus();
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        items[(index - 1 + items.length) % items.length].focus();
+        break;
+      case 'Home':
+        e.preventDefault();
+        items[0].focus();
+        break;
+      case 'End':
+        e.preventDefault();
+        items[items.length - 1].focus();
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.closeMenu();
+        this.toggle.focus();
+        break;
+      case 'Tab':
+        this.closeMenu();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Update toggle button and menu state
    */
   updateToggleUI() {
     if (!this.toggle) return;
 
-    const label = `Switch to ${this.theme === 'light' ? 'dark' : 'light'} mode`;
+    const descriptor = getTheme(this.theme);
+    const modes = { [SYSTEM]: 'System', [AUTO]: 'Auto' };
+    const current = modes[this.preference] ? `${modes[this.preference]} (${descriptor.label})` : descriptor.label;
+    const label = `Theme: ${current}. Choose theme`;
     this.toggle.setAttribute('aria-label', label);
     this.toggle.setAttribute('title', label);
+
+    if (this.menu) {
+      this.getMenuItems().forEach(item => {
+        item.setAttribute('aria-checked', String(item.dataset.themeOption === this.preference));
+      });
+    }
   }
 
   /**
@@ -106,58 +382,193 @@ export default class ThemeSwitcher {
   watchSystemTheme() {
     const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
 
+    const handleChange = (e) => {
+      // Only auto-switch if the user follows the system preference
+      if (this.preference === SYSTEM) {
+        this.applyTheme(e.matches ? 'dark' : 'light', { persist: false });
+      }
+    };
+
     // Modern browsers
     if (mediaQuery.addEventListener) {
-      mediaQuery.addEventListener('change', (e) => {
-        // Only auto-switch if user hasn't manually set a preference
-        if (!this.getStoredTheme()) {
-          this.applyTheme(e.matches ? 'dark' : 'light');
-        }
-      });
+      mediaQuery.addEventListener('change', handleChange);
     }
     // Legacy browsers
     else if (mediaQuery.addListener) {
-      mediaQuery.addListener((e) => {
-        if (!this.getStoredTheme()) {
-          this.applyTheme(e.matches ? 'dark' : 'light');
-        }
-      });
+      mediaQuery.addListener(handleChange);
+    }
+  }
+
+  /**
+   * Keep the theme in step with the schedule while the page is open
+   */
+  watchSchedule() {
+    this.startSchedule();
+
+    // Timers are throttled in background tabs, so re-check on return
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.startSchedule();
+      }
+    });
+  }
+
+  /**
+   * Follow theme changes made in other tabs of the site.
+   * The storage event only fires in the tabs that did not make the change.
+   */
+  watchStorage() {
+    window.addEventListener('storage', (e) => {
+      if (e.storageArea !== localStorage) return;
+
+      if (e.key === 'theme-schedule') {
+        this.schedule = { ...this.schedule, ...this.getStoredSchedule() };
+        this.startSchedule();
+      } else if (e.key === 'theme' || e.key === null) {
+        // A null key means storage was cleared
+        this.syncPreference(this.getStoredTheme() || SYSTEM);
+      }
+    });
+  }
+
+  /**
+   * Adopt a preference chosen elsewhere without writing it back
+   * @param {string} preference - 'system', 'auto' or a theme name
+   */
+  syncPreference(preference) {
+    this.preference = preference;
+
+    // Clears any pending switch, and applies the schedule for 'auto'
+    this.startSchedule();
+
+    const theme = this.resolveTheme(preference);
+    if (theme !== this.theme) {
+      this.applyTheme(theme, { persist: false });
+    } else {
+      this.updateToggleUI();
+    }
+  }
+
+  /**
+   * Apply the scheduled theme and set a timer for the next switch
+   */
+  startSchedule() {
+    this.stopSchedule();
+
+    if (this.preference !== AUTO) return;
+
+    const scheduled = this.getScheduledTheme();
+    if (scheduled !== this.theme) {
+      this.applyTheme(scheduled, { persist: false });
+    }
+
+    const next = this.getNextSwitch();
+    if (next) {
+      // Small margin so the check lands after the boundary
+      this.scheduleTimer = setTimeout(() => this.startSchedule(), next - Date.now() + 1000);
+    }
+  }
+
+  /**
+   * Clear the pending scheduled switch
+   */
+  stopSchedule() {
+    if (this.scheduleTimer) {
+      clearTimeout(this.scheduleTimer);
+      this.scheduleTimer = null;
     }
   }
 
+  /**
+   * Update the time-of-day schedule and persist it
+   * @param {Object} schedule
+   * @param {string} [schedule.dayTheme]
+   * @param {string} [schedule.nightTheme]
+   * @param {string} [schedule.lightAt] - 'HH:MM' local time
+   * @param {string} [schedule.darkAt] - 'HH:MM' local time
+   * @param {number|null} [schedule.latitude] - Use computed sunrise/sunset when set with longitude
+   * @param {number|null} [schedule.longitude]
+   */
+  setSchedule(schedule = {}) {
+    const invalid = ['dayTheme', 'nightTheme'].find(key => schedule[key] && !hasTheme(schedule[key]));
+    if (invalid) {
+      console.error(`Invalid ${invalid}: "${schedule[invalid]}" is not a registered theme`);
+      return;
+    }
+
+    this.schedule = { ...this.schedule, ...schedule };
+    localStorage.setItem('theme-schedule', JSON.stringify({ ...this.getStoredSchedule(), ...schedule }));
+    this.startSchedule();
+  }
+
   /**
    * Get current theme
-   * @returns {string} Current theme ('light' or 'dark')
+   * @returns {string} Current theme name
    */
   getCurrentTheme() {
     return this.theme;
   }
 
+  /**
+   * Get current theme descriptor
+   * @returns {import('./themes.js').ThemeDescriptor}
+   */
+  getCurrentDescriptor() {
+    return getTheme(this.theme);
+  }
+
+  /**
+   * Get the user's preference
+   * @returns {string} 'system', 'auto' or a theme name
+   */
+  getPreference() {
+    return this.preference;
+  }
+
   /**
    * Set theme programmatically
-   * @param {string} theme - 'light' or 'dark'
+   * @param {string} theme - 'system', 'auto' or a registered theme name
    */
   setTheme(theme) {
-    if (theme === 'light' || theme === 'dark') {
+    if (theme === SYSTEM) {
+      this.resetToSystemPreference();
+    } else if (theme === AUTO) {
+      this.setAutoTheme();
+    } else if (hasTheme(theme)) {
+      this.stopSchedule();
       this.applyTheme(theme);
     } else {
-      console.error('Invalid theme. Use "light" or "dark"');
+      const names = [SYSTEM, AUTO, ...getThemes().map(t => t.name)].map(name => `"${name}"`).join(', ');
+      console.error(`Invalid theme. Use one of ${names}`);
     }
   }
 
   /**
-   * Toggle theme
+   * Toggle between the light and dark base themes
    */
   toggleTheme() {
-    const newTheme = this.theme === 'light' ? 'dark' : 'light';
+    const newTheme = getTheme(this.theme).scheme === 'dark' ? 'light' : 'dark';
+    this.stopSchedule();
     this.applyTheme(newTheme);
   }
 
+  /**
+   * Follow the time-of-day schedule
+   */
+  setAutoTheme() {
+    localStorage.setItem('theme', AUTO);
+    this.preference = AUTO;
+    this.applyTheme(this.getScheduledTheme(), { persist: false });
+    this.startSchedule();
+  }
+
   /**
    * Reset to system preference
    */
   resetToSystemPreference() {
+    this.stopSchedule();
     localStorage.removeItem('theme');
-    this.applyTheme(this.getPreferredTheme());
+    this.preference = SYSTEM;
+    this.applyTheme(this.getPreferredTheme(), { persist: false });
   }
 }
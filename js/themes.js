@@ -0,0 +1,106 @@
+/**
+ * Theme Registry
+ * Named themes and the descriptors components use to adapt to them.
+ * Each theme's CSS variables live in variables.css under [data-theme="<name>"];
+ * dark-based themes also inherit the [data-scheme="dark"] base.
+ */
+
+/**
+ * @typedef {Object} ThemeDescriptor
+ * @property {string} name - Value written to data-theme
+ * @property {string} label - Name shown in the theme picker
+ * @property {'light'|'dark'} scheme - Base color scheme
+ * @property {Object} effects - Ambient effects the theme shows
+ * @property {boolean} effects.fireflies
+ * @property {boolean} effects.shootingStars
+ * @property {string[]} [particleColors] - "r, g, b" strings for ParticleBackground
+ */
+
+const themes = new Map();
+
+/**
+ * Register (or replace) a theme
+ * @param {Object} theme
+ * @returns {ThemeDescriptor}
+ */
+export function registerTheme(theme) {
+  if (!theme || !theme.name) {
+    throw new Error('Theme needs a name');
+  }
+
+  const scheme = theme.scheme === 'dark' ? 'dark' : 'light';
+  const descriptor = Object.freeze({
+    label: theme.name,
+    ...theme,
+    scheme,
+    effects: Object.freeze({
+      fireflies: scheme === 'light',
+      shootingStars: scheme === 'dark',
+      ...theme.effects
+    })
+  });
+
+  themes.set(descriptor.name, descriptor);
+  return descriptor;
+}
+
+/**
+ * Get a theme descriptor by name
+ * @param {string} name
+ * @returns {ThemeDescriptor|undefined}
+ */
+export function getTheme(name) {
+  return themes.get(name);
+}
+
+/**
+ * Check whether a theme is registered
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasTheme(name) {
+  return themes.has(name);
+}
+
+/**
+ * All registered themes in registration order
+ * @returns {ThemeDescriptor[]}
+ */
+export function getThemes() {
+  return Array.from(themes.values());
+}
+
+/**
+ * Descriptor for the theme currently applied to the document,
+ * falling back to the light theme
+ * @returns {ThemeDescriptor}
+ */
+export function getActiveTheme() {
+  const name = document.documentElement.getAttribute('data-theme');
+  return themes.get(name) || themes.get('light');
+}
+
+// Built-in themes
+registerTheme({ name: 'light', label: 'Light', scheme: 'light' });
+registerTheme({ name: 'dark', label: 'Dark', scheme: 'dark' });
+registerTheme({
+  name: 'high-contrast',
+  label: 'High contrast',
+  scheme: 'light',
+  effects: { fireflies: false },
+  particleColors: ['0, 77, 64', '0, 51, 102', '74, 20, 140', '0, 0, 0']
+});
+registerTheme({
+  name: 'sepia',
+  label: 'Sepia',
+  scheme: 'light',
+  particleColors: ['139, 94, 52', '166, 124, 82', '120, 90, 60', '196, 152, 98']
+});
+registerTheme({
+  name: 'bme',
+  label: 'BME',
+  scheme: 'dark',
+  particleColors: ['168, 85, 247', '236, 72, 153', '34, 211, 238', '139, 92, 246']
+});
+
+export default { registerTheme, getTheme, hasTheme, getThemes, getActiveTheme };